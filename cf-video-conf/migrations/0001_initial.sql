@@ -1,5 +1,5 @@
--- WebRTC Signaling Database Schema
--- Run: wrangler d1 execute webrtc-signaling --file=./schema.sql
+-- Signaling tables as they were before rooms - matches the original schema.sql, so databases
+-- created from it can record this migration as applied
 
 -- Peers table for persistent session management
 CREATE TABLE IF NOT EXISTS peers (
@@ -0,0 +1,36 @@
+-- Rooms: peers and messages are scoped by room_id.
+-- Both only hold transient signaling state and their old rows have no room,
+-- so they are rebuilt empty rather than copied.
+
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS peers;
+
+-- Peers table for persistent session management, scoped per room
+CREATE TABLE peers (
+    room_id TEXT NOT NULL,
+    peer_id TEXT NOT NULL,
+    joined_at INTEGER NOT NULL,
+    last_seen INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (room_id, peer_id)
+);
+
+CREATE TABLE messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id TEXT NOT NULL,
+    peer_id TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('offer', 'answer', 'candidate')),
+    data TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Index for efficient queries
+CREATE INDEX IF NOT EXISTS idx_peers_last_seen 
+ON peers(last_seen);
+
+CREATE INDEX IF NOT EXISTS idx_messages_room_timestamp 
+ON messages(room_id, timestamp);
+
+CREATE INDEX IF NOT EXISTS idx_messages_timestamp 
+ON messages(timestamp);
@@ -0,0 +1,6 @@
+-- Messages addressed to one peer, and the host flag guests look up to address theirs
+ALTER TABLE peers ADD COLUMN is_host INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE messages ADD COLUMN target_peer TEXT; -- NULL means broadcast to the whole room
+
+CREATE INDEX IF NOT EXISTS idx_messages_room_target 
+ON messages(room_id, target_peer);
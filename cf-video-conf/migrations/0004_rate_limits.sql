@@ -0,0 +1,10 @@
+-- Fixed-window request counters, e.g. TURN credential issuance per IP and per room
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT NOT NULL,
+    window_start INTEGER NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_window_start 
+ON rate_limits(window_start);
@@ -0,0 +1,27 @@
+-- The waiting room's 'reject' message type. SQLite can't change a CHECK constraint in place,
+-- so messages is copied into a new table and swapped in
+CREATE TABLE messages_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id TEXT NOT NULL,
+    peer_id TEXT NOT NULL,
+    target_peer TEXT, -- NULL means broadcast to the whole room
+    type TEXT NOT NULL CHECK (type IN ('offer', 'answer', 'candidate', 'reject')),
+    data TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO messages_new (id, room_id, peer_id, target_peer, type, data, timestamp, created_at)
+SELECT id, room_id, peer_id, target_peer, type, data, timestamp, created_at FROM messages;
+
+DROP TABLE messages;
+ALTER TABLE messages_new RENAME TO messages;
+
+CREATE INDEX IF NOT EXISTS idx_messages_room_timestamp 
+ON messages(room_id, timestamp);
+
+CREATE INDEX IF NOT EXISTS idx_messages_room_target 
+ON messages(room_id, target_peer);
+
+CREATE INDEX IF NOT EXISTS idx_messages_timestamp 
+ON messages(timestamp);
@@ -0,0 +1,4 @@
+-- Optional guest profile sent with join and shown on the host's tiles
+ALTER TABLE peers ADD COLUMN display_name TEXT;
+ALTER TABLE peers ADD COLUMN role TEXT;
+ALTER TABLE peers ADD COLUMN color TEXT; -- #rrggbb avatar color
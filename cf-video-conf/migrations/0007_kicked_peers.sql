@@ -0,0 +1,7 @@
+-- Peers the host removed - they cannot rejoin or signal with their old session
+CREATE TABLE IF NOT EXISTS kicked_peers (
+    room_id TEXT NOT NULL,
+    peer_id TEXT NOT NULL,
+    kicked_at INTEGER NOT NULL,
+    PRIMARY KEY (room_id, peer_id)
+);
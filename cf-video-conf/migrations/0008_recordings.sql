@@ -0,0 +1,26 @@
+-- Host recordings uploaded to R2 in parts; rows stay 'uploading' until the multipart upload completes
+CREATE TABLE IF NOT EXISTS recordings (
+    id TEXT PRIMARY KEY,
+    room_id TEXT NOT NULL,
+    session_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    object_key TEXT NOT NULL,
+    upload_id TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'complete')),
+    size INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    completed_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_recordings_room_created 
+ON recordings(room_id, created_at);
+
+-- Parts already in R2, so an interrupted upload can be resumed and completed
+CREATE TABLE IF NOT EXISTS recording_parts (
+    recording_id TEXT NOT NULL,
+    part_number INTEGER NOT NULL,
+    etag TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    PRIMARY KEY (recording_id, part_number)
+);
@@ -0,0 +1,25 @@
+-- Call-quality samples from the host and guest pages; subject_peer_id is the guest the sample is about
+CREATE TABLE IF NOT EXISTS telemetry (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room_id TEXT NOT NULL,
+    reporter_peer_id TEXT NOT NULL,
+    subject_peer_id TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('host', 'guest')),
+    device_type TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    setup_ms INTEGER,
+    smoothness_score REAL,
+    codec TEXT,
+    bitrate_kbps REAL,
+    loss_percent REAL,
+    rtt_ms REAL,
+    fps REAL,
+    adjustments INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_telemetry_room_subject 
+ON telemetry(room_id, subject_peer_id);
+
+CREATE INDEX IF NOT EXISTS idx_telemetry_created_at 
+ON telemetry(created_at);
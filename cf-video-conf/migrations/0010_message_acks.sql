@@ -0,0 +1,2 @@
+-- Per-peer ack cursor: messages up to this id were delivered and are not sent again
+ALTER TABLE peers ADD COLUMN acked_message_id INTEGER NOT NULL DEFAULT 0;
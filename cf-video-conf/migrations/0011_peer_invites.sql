@@ -0,0 +1,2 @@
+-- The invite each guest joined with, so kicking the guest can revoke that invite too
+ALTER TABLE peers ADD COLUMN invite_id TEXT;
@@ -0,0 +1,256 @@
+// Admin Dashboard - live rooms and peers, with buttons to end a room or evict a peer
+class AdminApp {
+    constructor() {
+        this.secret = sessionStorage.getItem('admin-secret'); // Kept for this tab only
+        this.selectedRoom = null; // Room whose peers are shown
+        this.refreshInterval = null;
+        this.refreshEvery = 5000;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        document.getElementById('admin-login').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.secret = document.getElementById('admin-secret').value.trim();
+            sessionStorage.setItem('admin-secret', this.secret);
+            this.start();
+        });
+
+        document.getElementById('admin-logout').addEventListener('click', () => {
+            sessionStorage.removeItem('admin-secret');
+            this.secret = null;
+            this.stop();
+            this.showLogin('');
+        });
+
+        if (this.secret) {
+            this.start();
+        } else {
+            this.showLogin('');
+        }
+    }
+
+    async request(path, method = 'GET') {
+        const response = await fetch(`/admin${path}`, {
+            method,
+            headers: { Authorization: `Bearer ${this.secret}` }
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (response.status === 401 || response.status === 503) {
+            this.stop();
+            this.showLogin(body.error || `HTTP ${response.status}`);
+        }
+        if (!response.ok) {
+            throw new Error(body.error || `HTTP ${response.status}`);
+        }
+        return body;
+    }
+
+    showLogin(error) {
+        document.getElementById('admin-login').style.display = 'block';
+        document.getElementById('admin-dashboard').style.display = 'none';
+        document.getElementById('admin-login-error').textContent = error;
+    }
+
+    start() {
+        document.getElementById('admin-login').style.display = 'none';
+        document.getElementById('admin-dashboard').style.display = 'block';
+
+        this.stop();
+        this.refresh();
+        this.refreshInterval = setInterval(() => this.refresh(), this.refreshEvery);
+    }
+
+    stop() {
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = null;
+    }
+
+    async refresh() {
+        try {
+            const { rooms } = await this.request('/rooms');
+            this.renderRooms(rooms);
+
+            if (this.selectedRoom) {
+                await this.loadRoom(this.selectedRoom);
+            }
+            document.getElementById('admin-updated').textContent = `Updated ${new Date().toLocaleTimeString()}`;
+        } catch (error) {
+            console.error('Error refreshing rooms:', error);
+            document.getElementById('admin-updated').textContent = `⚠️ ${error.message}`;
+        }
+    }
+
+    renderRooms(rooms) {
+        const body = document.getElementById('rooms-body');
+        body.replaceChildren();
+
+        if (rooms.length === 0) {
+            body.appendChild(this.emptyRow('No active rooms', 8));
+            return;
+        }
+
+        for (const room of rooms) {
+            const row = document.createElement('tr');
+            row.style.cursor = 'pointer';
+            row.style.background = room.roomId === this.selectedRoom ? '#e7f1ff' : '';
+            row.addEventListener('click', () => {
+                this.selectedRoom = room.roomId;
+                this.refresh();
+            });
+
+            row.append(
+                this.cell(room.roomId),
+                this.cell(`${room.activePeers} / ${room.peers}`),
+                this.cell(room.hostPeerId ? 'Yes' : 'No'),
+                this.cell(AdminApp.formatTime(room.firstJoinedAt)),
+                this.cell(AdminApp.formatAgo(room.lastSeen)),
+                this.cell(room.pendingMessages),
+                this.cell(room.recentSamples ? `${room.recentSmoothness ?? '-'} / ${room.recentLossPercent ?? '-'}%` : '-'),
+                this.actionCell('End', () => this.endRoom(room.roomId))
+            );
+            body.appendChild(row);
+        }
+    }
+
+    async loadRoom(roomId) {
+        const panel = document.getElementById('room-detail');
+        panel.style.display = 'block';
+        document.getElementById('room-title').textContent = `Room ${roomId}`;
+
+        let room;
+        try {
+            room = await this.request(`/rooms/${encodeURIComponent(roomId)}`);
+        } catch (error) {
+            // The room emptied since the list was loaded
+            this.selectedRoom = null;
+            panel.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('room-title').textContent = `Room ${roomId}${room.ended ? ' (ended)' : ''}`;
+        this.renderPeers(roomId, room.peers);
+        this.renderTelemetry(room.telemetry.byPeer);
+    }
+
+    renderPeers(roomId, peers) {
+        const body = document.getElementById('peers-body');
+        body.replaceChildren();
+
+        if (peers.length === 0) {
+            body.appendChild(this.emptyRow('No peers', 6));
+            return;
+        }
+
+        for (const peer of peers) {
+            const row = document.createElement('tr');
+            const name = peer.displayName ? `${peer.displayName} (${peer.peerId})` : peer.peerId;
+            row.append(
+                this.cell(`${peer.isHost ? '👑 ' : ''}${name}`),
+                this.cell(peer.role || '-'),
+                this.cell(AdminApp.formatTime(peer.joinedAt)),
+                this.cell(AdminApp.formatAgo(peer.lastSeen)),
+                this.cell(peer.pendingMessages),
+                this.actionCell('Evict', () => this.evictPeer(roomId, peer.peerId))
+            );
+            body.appendChild(row);
+        }
+    }
+
+    renderTelemetry(byPeer) {
+        const body = document.getElementById('telemetry-body');
+        body.replaceChildren();
+
+        if (byPeer.length === 0) {
+            body.appendChild(this.emptyRow('No telemetry yet', 7));
+            return;
+        }
+
+        for (const row of byPeer) {
+            const tr = document.createElement('tr');
+            tr.style.color = row.poor ? '#dc3545' : '';
+            tr.append(
+                this.cell(row.peerId),
+                this.cell(row.reportedBy),
+                this.cell(row.deviceType),
+                this.cell(row.codecs || '-'),
+                this.cell(row.avgSmoothness ?? '-'),
+                this.cell(row.avgLossPercent !== null ? `${row.avgLossPercent}%` : '-'),
+                this.cell(row.avgRttMs !== null ? `${row.avgRttMs}ms` : '-')
+            );
+            body.appendChild(tr);
+        }
+    }
+
+    async endRoom(roomId) {
+        if (!confirm(`End room ${roomId}? Everyone is disconnected and nobody can rejoin.`)) return;
+
+        try {
+            await this.request(`/rooms/${encodeURIComponent(roomId)}/end`, 'POST');
+            console.log(`🛑 Ended room ${roomId}`);
+        } catch (error) {
+            alert(`Could not end the room: ${error.message}`);
+        }
+        this.refresh();
+    }
+
+    async evictPeer(roomId, peerId) {
+        if (!confirm(`Evict ${peerId} from room ${roomId}?`)) return;
+
+        try {
+            await this.request(`/rooms/${encodeURIComponent(roomId)}/peers/${encodeURIComponent(peerId)}/evict`, 'POST');
+            console.log(`👢 Evicted ${peerId} from room ${roomId}`);
+        } catch (error) {
+            alert(`Could not evict the peer: ${error.message}`);
+        }
+        this.refresh();
+    }
+
+    cell(value) {
+        const td = document.createElement('td');
+        td.textContent = String(value);
+        return td;
+    }
+
+    actionCell(label, onClick) {
+        const td = document.createElement('td');
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = 'background: #dc3545; color: white; border: none; padding: 4px 10px; border-radius: 4px; cursor: pointer;';
+        button.addEventListener('click', (event) => {
+            // Don't also select the row
+            event.stopPropagation();
+            onClick();
+        });
+        td.appendChild(button);
+        return td;
+    }
+
+    emptyRow(text, columns) {
+        const row = document.createElement('tr');
+        const td = this.cell(text);
+        td.colSpan = columns;
+        td.style.color = '#666';
+        row.appendChild(td);
+        return row;
+    }
+
+    static formatTime(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleTimeString() : '-';
+    }
+
+    static formatAgo(timestamp) {
+        if (!timestamp) return '-';
+        const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+        return seconds < 60 ? `${seconds}s ago` : `${Math.round(seconds / 60)}m ago`;
+    }
+}
+
+// Start the admin dashboard
+new AdminApp();
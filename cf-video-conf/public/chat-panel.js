@@ -0,0 +1,179 @@
+// Chat Panel - message log and input shared by the host and guest pages
+class ChatPanel {
+    constructor({ container, onSend, maxLength = 1000 }) {
+        this.container = container;
+        this.onSend = onSend; // (text, recipientId) - recipientId is null for everyone
+        this.maxLength = maxLength;
+        this.log = null;
+        this.input = null;
+        this.sendButton = null;
+        this.recipientSelect = null; // Only shown once recipients are set (host)
+
+        this.render();
+        this.setEnabled(false);
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div style="
+                margin-top: 20px;
+                border: 1px solid #dee2e6;
+                border-radius: 6px;
+                background: #f8f9fa;
+            ">
+                <div style="
+                    padding: 8px 12px;
+                    font-weight: bold;
+                    color: #333;
+                    border-bottom: 1px solid #dee2e6;
+                ">💬 Chat</div>
+                <div class="chat-log" style="
+                    height: 180px;
+                    overflow-y: auto;
+                    padding: 8px 12px;
+                    font-size: 14px;
+                    text-align: left;
+                "></div>
+                <form class="chat-form" style="
+                    display: flex;
+                    gap: 8px;
+                    padding: 8px 12px;
+                    border-top: 1px solid #dee2e6;
+                ">
+                    <select class="chat-recipient" style="
+                        display: none;
+                        padding: 6px 8px;
+                        border: 1px solid #ddd;
+                        border-radius: 4px;
+                        font-size: 14px;
+                    "></select>
+                    <input class="chat-input" type="text" maxlength="${this.maxLength}" placeholder="Type a message..." style="
+                        flex: 1;
+                        padding: 6px 10px;
+                        border: 1px solid #ddd;
+                        border-radius: 4px;
+                        font-size: 14px;
+                    " />
+                    <button class="chat-send" type="submit" style="
+                        background: #007bff;
+                        color: white;
+                        border: none;
+                        padding: 6px 14px;
+                        border-radius: 4px;
+                        font-size: 14px;
+                        cursor: pointer;
+                    ">Send</button>
+                </form>
+            </div>
+        `;
+
+        this.log = this.container.querySelector('.chat-log');
+        this.input = this.container.querySelector('.chat-input');
+        this.sendButton = this.container.querySelector('.chat-send');
+        this.recipientSelect = this.container.querySelector('.chat-recipient');
+
+        this.container.querySelector('.chat-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.send();
+        });
+    }
+
+    send() {
+        const text = this.input.value.trim();
+        if (!text) return;
+
+        const recipientId = this.recipientSelect.value || null;
+        if (this.onSend(text, recipientId) !== false) {
+            this.input.value = '';
+        }
+    }
+
+    setEnabled(enabled) {
+        this.input.disabled = !enabled;
+        this.sendButton.disabled = !enabled;
+        this.input.placeholder = enabled ? 'Type a message...' : 'Chat opens once connected';
+    }
+
+    setRecipients(recipients) {
+        // recipients: [{ id, label }] - "Everyone" is always the first option
+        const selected = this.recipientSelect.value;
+
+        this.recipientSelect.replaceChildren(new Option('Everyone', ''));
+        for (const { id, label } of recipients) {
+            this.recipientSelect.appendChild(new Option(label, id));
+        }
+
+        this.recipientSelect.value = recipients.some(recipient => recipient.id === selected) ? selected : '';
+        this.recipientSelect.style.display = 'inline-block';
+        this.setEnabled(recipients.length > 0);
+    }
+
+    addMessage({ sender, text, sentAt, color = null, isOwn = false, isPrivate = false, recipient = null }) {
+        const entry = document.createElement('div');
+        entry.style.margin = '4px 0';
+
+        const time = document.createElement('span');
+        time.textContent = new Date(sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        time.style.color = '#999';
+        time.style.marginRight = '6px';
+
+        const name = document.createElement('strong');
+        name.textContent = recipient ? `${sender} → ${recipient}` : sender;
+        name.style.color = color || (isOwn ? '#007bff' : '#333');
+        name.style.marginRight = '6px';
+
+        const body = document.createElement('span');
+        body.textContent = text; // Never parsed as HTML
+
+        entry.appendChild(time);
+        entry.appendChild(name);
+        if (isPrivate) {
+            const badge = document.createElement('em');
+            badge.textContent = '(private) ';
+            badge.style.color = '#6c757d';
+            entry.appendChild(badge);
+        }
+        entry.appendChild(body);
+
+        // Only follow new messages when already scrolled to the bottom
+        const atBottom = this.log.scrollTop + this.log.clientHeight >= this.log.scrollHeight - 10;
+        this.log.appendChild(entry);
+        if (atBottom) {
+            this.log.scrollTop = this.log.scrollHeight;
+        }
+    }
+
+    addNotice(text) {
+        const entry = document.createElement('div');
+        entry.textContent = text;
+        entry.style.margin = '4px 0';
+        entry.style.color = '#6c757d';
+        entry.style.fontStyle = 'italic';
+        this.log.appendChild(entry);
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+}
+
+// Chat messages as sent over the 'chat' data channel
+ChatPanel.parseMessage = (raw, maxLength = 1000) => {
+    try {
+        const message = JSON.parse(raw);
+        if (message.type !== 'chat' || typeof message.text !== 'string' || !message.text.trim()) return null;
+
+        return {
+            text: message.text.slice(0, maxLength),
+            sender: typeof message.sender === 'string' ? message.sender.slice(0, 40) : '',
+            sentAt: Number.isFinite(message.sentAt) ? message.sentAt : Date.now(),
+            isPrivate: message.private === true
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Export for use in both client and host
+if (typeof window !== 'undefined') {
+    window.ChatPanel = ChatPanel;
+} else {
+    module.exports = ChatPanel;
+}
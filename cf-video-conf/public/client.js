@@ -1,17 +1,38 @@
-// Client App - Sends video to host only (no receiving)
+// Client App - Sends video to the host and renders the host's camera when it is shared
 class ClientApp {
     constructor() {
         this.localVideo = null;
+        this.remoteVideo = null; // Host camera, shown once the host shares it
         this.localStream = null;
         this.peerConnection = null;
         this.isStarted = false;
         this.peerId = window.naming();
-        this.lastMessageTimestamp = 0;
-        this.interval = false;
+        this.roomId = new URLSearchParams(window.location.search).get('room');
+        this.inviteToken = new URLSearchParams(window.location.search).get('invite'); // From the host's invite link
+        this.token = null; // Guest session token, exchanged for the invite on join
+        this.profile = this.loadProfile(); // Display name, role and color shown to the host
+        this.chatChannel = null; // 'chat' RTCDataChannel to the host, created with each offer
+        this.controlChannel = null; // 'control' RTCDataChannel carrying host commands
+        this.cameraMutedByHost = false;
+        this.hostMaxBitrate = null; // Bitrate cap requested by the host, in bps
+        this.videoLayer = 'f'; // Simulcast layer the host asked for, see applyVideoLayers
+        this.chatPanel = null;
+        this.hostPeerId = null; // Host of the room - offers and candidates are addressed to it
+        this.signaling = null; // SignalingChannel - WebSocket with polling fallback
         this.candidateQueue = []; // Queue for ICE candidates
         this.availableCameras = []; // List of available video devices
         this.currentCameraId = null; // Currently selected camera
+        this.availableMicrophones = []; // List of available audio input devices
+        this.currentMicrophoneId = null; // Currently selected microphone
         this.smoothnessMonitor = null; // Will be initialized when connection starts
+        this.performanceMonitor = new PerformanceMonitor({ getHeaders: () => this.token ? this.getAuthHeaders() : null });
+        this.answerReceivedAt = null; // Connection setup is timed from the host's answer - not the waiting room
+        this.screenStream = null; // Display capture while sharing the screen
+        this.recoveryAttempt = 0; // 0 = healthy, then ICE restart, renegotiation, rebuilds
+        this.recoveryTimer = null;
+        this.maxRecoveryAttempts = 8;
+        this.makingOffer = false; // Set while an offer is created, so a crossing host offer is seen as glare
+        this.turnExpiresAt = 0; // When the fetched TURN credentials run out - 0 until a fetch succeeds
 
         this.baseAddress = 'https://conf.rmauro.dev';
 
@@ -45,29 +66,52 @@ class ClientApp {
     }
 
     async setup() {
+        if (!this.roomId || !this.inviteToken) {
+            // Without a room there is no host to send video to
+            this.setupUI();
+            document.getElementById('connect').disabled = true;
+            document.getElementById('status').textContent = 'No room specified - open the invite link shared by the host';
+            return;
+        }
+
         await this.loadAvailableCameras();
         await this.setupCamera();
-        await this.fetchTurnCredentials(); // Get dynamic TURN credentials
-        this.join();
-        this.startPolling();
+        // The UI comes first - a rejected join reports to the status line and connect button
         this.setupUI();
+        if (!(await this.join())) return;
+        await this.fetchTurnCredentials(); // Get dynamic TURN credentials - needs the session token from join
+        this.startSignaling();
     }
 
     async loadAvailableCameras() {
         try {
-            // Request permission first to get device labels
-            await navigator.mediaDevices.getUserMedia({ video: true });
+            // Request permission first to get device labels (camera only if there is no microphone)
+            let permissionStream;
+            try {
+                permissionStream = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+            } catch (error) {
+                permissionStream = await navigator.mediaDevices.getUserMedia({ video: true });
+            }
+            permissionStream.getTracks().forEach(track => track.stop());
 
+            // Cameras and microphones come from the same device list
             const devices = await navigator.mediaDevices.enumerateDevices();
             this.availableCameras = devices.filter(device => device.kind === 'videoinput');
+            this.availableMicrophones = devices.filter(device => device.kind === 'audioinput');
 
             console.log('Available cameras:', this.availableCameras.length);
+            console.log('Available microphones:', this.availableMicrophones.length);
 
             // Select the first camera as default if none selected
             if (this.availableCameras.length > 0 && !this.currentCameraId) {
                 this.currentCameraId = this.availableCameras[0].deviceId;
             }
 
+            // Select the first microphone as default if none selected
+            if (this.availableMicrophones.length > 0 && !this.currentMicrophoneId) {
+                this.currentMicrophoneId = this.availableMicrophones[0].deviceId;
+            }
+
         } catch (error) {
             console.error('Error loading cameras:', error);
         }
@@ -167,7 +211,13 @@ class ClientApp {
                     },
                     facingMode: 'user'
                 },
-                audio: false
+                audio: this.availableMicrophones.length > 0 ? {
+                    // Voice processing so the host hears the guest, not the room
+                    echoCancellation: true,
+                    noiseSuppression: true,
+                    autoGainControl: true,
+                    channelCount: 1
+                } : false
             };
 
             console.log(`🎥 SMOOTH + QUALITY MODE - Using Full HD 1080p @ ${deviceCapabilities.optimalFrameRate}fps (device-optimized)`);
@@ -206,37 +256,45 @@ class ClientApp {
                 constraints.video.deviceId = { exact: this.currentCameraId };
             }
 
+            // Use specific microphone if selected
+            if (constraints.audio && this.currentMicrophoneId) {
+                constraints.audio.deviceId = { exact: this.currentMicrophoneId };
+            }
+
             this.localStream = await navigator.mediaDevices.getUserMedia(constraints);
             this.localVideo.srcObject = this.localStream;
             this.localVideo.muted = true;
 
             console.log('Camera ready:', this.currentCameraId || 'default');
+            console.log('Microphone ready:', this.localStream.getAudioTracks().length > 0 ? (this.currentMicrophoneId || 'default') : 'none');
 
-            // Update video tracks in peer connection if already connected
+            // Update tracks in peer connection if already connected (the screen keeps priority while shared)
             if (this.peerConnection && this.isStarted) {
-                await this.updateVideoTrack();
+                if (!this.screenStream) {
+                    await this.updateVideoTrack();
+                }
+                await this.updateAudioTrack();
             }
 
         } catch (error) {
             console.error('Camera error:', error);
 
-            // Fallback to default camera if specific camera fails
-            if (this.currentCameraId) {
-                console.log('Falling back to default camera');
+            // Fallback to default devices if a specific camera or microphone fails
+            if (this.currentCameraId || this.currentMicrophoneId) {
+                console.log('Falling back to default camera and microphone');
                 this.currentCameraId = null;
+                this.currentMicrophoneId = null;
                 await this.setupCamera();
             }
         }
     }
 
-    async updateVideoTrack() {
+    async updateVideoTrack(videoTrack = this.localStream.getVideoTracks()[0]) {
         try {
-            const videoTrack = this.localStream.getVideoTracks()[0];
-            const sender = this.peerConnection.getSenders().find(s =>
-                s.track && s.track.kind === 'video'
-            );
+            const sender = this.getVideoSender();
 
             if (sender && videoTrack) {
+                videoTrack.enabled = !this.cameraMutedByHost; // Keep a host mute across track changes
                 await sender.replaceTrack(videoTrack);
                 console.log('Updated video track in peer connection');
             }
@@ -245,86 +303,122 @@ class ClientApp {
         }
     }
 
+    getVideoSender() {
+        if (!this.peerConnection) return null;
+
+        return this.peerConnection.getSenders().find(s =>
+            s.track && s.track.kind === 'video'
+        ) || null;
+    }
+
+    async updateAudioTrack() {
+        try {
+            const audioTrack = this.localStream.getAudioTracks()[0];
+            const sender = this.peerConnection.getSenders().find(s =>
+                s.track && s.track.kind === 'audio'
+            );
+
+            if (sender && audioTrack) {
+                await sender.replaceTrack(audioTrack);
+                console.log('Updated audio track in peer connection');
+            }
+        } catch (error) {
+            console.error('Error updating audio track:', error);
+        }
+    }
+
     async join() {
         try {
             const response = await fetch(this.baseAddress + '/signaling', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                // Rejoins use the session token so a used invite is not needed again
+                headers: this.getAuthHeaders(this.token || this.inviteToken),
                 body: JSON.stringify({
                     type: 'join',
-                    peerId: this.peerId
+                    roomId: this.roomId,
+                    peerId: this.peerId,
+                    profile: this.profile
                 })
             });
 
+            if (!response.ok) {
+                const { status, code, message } = await SignalingChannel.readError(response);
+                if (status === 401) {
+                    document.getElementById('status').textContent = 'Invite link is invalid or has expired - ask the host for a new one';
+                } else if (code === 'invite_revoked') {
+                    document.getElementById('status').textContent = 'This invite link is no longer valid - ask the host for a new one';
+                } else if (status === 403) {
+                    this.handleKicked();
+                } else {
+                    this.showSignalingError(message, code);
+                }
+                return false;
+            }
+
             const data = await response.json();
+            this.token = data.token;
+            this.hostPeerId = data.hostPeerId || null;
+            this.performanceMonitor.start();
             console.log('Client joined - ready to send video to host');
+            return true;
 
         } catch (error) {
             console.error('Join error:', error);
+            return false;
         }
     }
 
-    startPolling() {
-        let pollInterval = 1000; // Start with 1 second
-        const maxInterval = 5000; // Max 5 seconds
-        let consecutiveEmptyPolls = 0;
-
-        this.interval = setInterval(async () => {
-            try {
-                const response = await fetch(this.baseAddress + `/messages?peerId=${this.peerId}&since=${this.lastMessageTimestamp}`);
-                const data = await response.json();
-
-                // Handle both old and new response formats
-                const messages = data.messages || data.m || [];
-                const timestamp = data.timestamp || data.t;
-
-                if (messages.length > 0) {
-                    consecutiveEmptyPolls = 0;
-                    pollInterval = 1000; // Reset to fast polling when active
+    // Shows a worker error ({ error, code }) in the status line
+    showSignalingError(message, code) {
+        console.error(`❌ Signaling error (${code}): ${message}`);
+        const statusDiv = document.getElementById('status');
+        statusDiv.textContent = `Signaling error: ${message}`;
+        statusDiv.style.color = '#dc3545';
+    }
 
-                    for (const message of messages) {
-                        await this.handleMessage(message);
-                    }
-                } else {
-                    consecutiveEmptyPolls++;
-                    // Gradually increase polling interval when inactive
-                    if (consecutiveEmptyPolls > 3 && pollInterval < maxInterval) {
-                        pollInterval = Math.min(pollInterval * 1.5, maxInterval);
-                        clearInterval(this.interval);
-                        this.startPollingWithInterval(pollInterval);
-                        return;
-                    }
-                }
+    loadProfile() {
+        try {
+            return { displayName: '', role: '', color: '#007bff', ...JSON.parse(localStorage.getItem('guest-profile')) };
+        } catch (error) {
+            return { displayName: '', role: '', color: '#007bff' };
+        }
+    }
 
-                this.lastMessageTimestamp = timestamp;
-            } catch (error) {
-                console.error('Polling error:', error);
-            }
-        }, pollInterval);
+    updateProfile() {
+        this.profile = {
+            displayName: document.getElementById('display-name').value.trim(),
+            role: document.getElementById('profile-role').value.trim(),
+            color: document.getElementById('profile-color').value
+        };
+        // Remembered for the next call
+        localStorage.setItem('guest-profile', JSON.stringify(this.profile));
     }
 
-    startPollingWithInterval(interval) {
-        this.interval = setInterval(async () => {
-            try {
-                const response = await fetch(this.baseAddress + `/messages?peerId=${this.peerId}&since=${this.lastMessageTimestamp}`);
-                const data = await response.json();
+    getAuthHeaders(token = this.token) {
+        return { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` };
+    }
 
-                // Handle both old and new response formats
-                const messages = data.messages || data.m || [];
-                const timestamp = data.timestamp || data.t;
+    startSignaling() {
+        if (!this.token) return; // Not admitted to the room
 
-                if (messages.length > 0) {
-                    // Switch back to fast polling
-                    clearInterval(this.interval);
-                    this.startPolling();
-                    return;
-                }
+        if (!this.signaling) {
+            this.signaling = new SignalingChannel({
+                baseAddress: this.baseAddress,
+                roomId: this.roomId,
+                peerId: this.peerId,
+                getToken: () => this.token,
+                onMessage: (message) => this.handleMessage(message),
+                onAccessDenied: (status) => this.handleAccessDenied(status),
+                maxPollInterval: 5000
+            });
+        }
+        this.signaling.start();
+    }
 
-                this.lastMessageTimestamp = timestamp;
-            } catch (error) {
-                console.error('Polling error:', error);
-            }
-        }, interval);
+    stopSignaling() {
+        if (this.signaling) {
+            this.signaling.stop();
+        }
     }
 
     setupUI() {
@@ -332,6 +426,37 @@ class ClientApp {
         const controls = document.createElement('div');
         controls.innerHTML = `
             <div style="text-align: center; margin: 20px 0;">
+                <div style="margin-bottom: 15px;">
+                    <label for="display-name" style="
+                        display: inline-block;
+                        margin-right: 10px;
+                        font-weight: bold;
+                        color: #333;
+                    ">Your name:</label>
+                    <input id="display-name" type="text" maxlength="40" placeholder="Shown to the host" style="
+                        padding: 8px 12px;
+                        border: 1px solid #ddd;
+                        border-radius: 4px;
+                        font-size: 14px;
+                        width: 160px;
+                        margin-right: 10px;
+                    " />
+                    <input id="profile-role" type="text" maxlength="30" placeholder="Role (optional)" style="
+                        padding: 8px 12px;
+                        border: 1px solid #ddd;
+                        border-radius: 4px;
+                        font-size: 14px;
+                        width: 120px;
+                        margin-right: 10px;
+                    " />
+                    <input id="profile-color" type="color" title="Avatar color" style="
+                        vertical-align: middle;
+                        width: 36px;
+                        height: 36px;
+                        border: none;
+                        padding: 0;
+                    " />
+                </div>
                 <div style="margin-bottom: 15px;">
                     <label for="camera-select" style="
                         display: inline-block;
@@ -359,6 +484,23 @@ class ClientApp {
                         cursor: pointer;
                     ">Refresh</button>
                 </div>
+                <div style="margin-bottom: 15px;">
+                    <label for="microphone-select" style="
+                        display: inline-block;
+                        margin-right: 10px;
+                        font-weight: bold;
+                        color: #333;
+                    ">Microphone:</label>
+                    <select id="microphone-select" style="
+                        padding: 8px 12px;
+                        border: 1px solid #ddd;
+                        border-radius: 4px;
+                        font-size: 14px;
+                        min-width: 200px;
+                    ">
+                        <option value="">Loading microphones...</option>
+                    </select>
+                </div>
                 <button id="connect" style="
                     background: #007bff;
                     color: white;
@@ -368,6 +510,16 @@ class ClientApp {
                     font-size: 16px;
                     cursor: pointer;
                 ">Send Video to Host</button>
+                <button id="share-screen" disabled style="
+                    background: #6c757d;
+                    color: white;
+                    border: none;
+                    padding: 12px 24px;
+                    border-radius: 6px;
+                    font-size: 16px;
+                    cursor: pointer;
+                    margin-left: 10px;
+                ">Share Screen</button>
                 <div id="status" style="
                     margin-top: 10px;
                     color: #666;
@@ -391,13 +543,30 @@ class ClientApp {
 
         container.appendChild(controls);
 
+        const chatContainer = document.createElement('div');
+        container.appendChild(chatContainer);
+        this.chatPanel = new ChatPanel({
+            container: chatContainer,
+            onSend: (text) => this.sendChat(text)
+        });
+
+        document.getElementById('display-name').value = this.profile.displayName;
+        document.getElementById('profile-role').value = this.profile.role;
+        document.getElementById('profile-color').value = this.profile.color;
+        ['display-name', 'profile-role', 'profile-color'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateProfile());
+        });
+
         // Setup event listeners
         document.getElementById('connect').addEventListener('click', () => this.connect());
+        document.getElementById('share-screen').addEventListener('click', () => this.toggleScreenShare());
         document.getElementById('camera-select').addEventListener('change', (e) => this.changeCamera(e.target.value));
+        document.getElementById('microphone-select').addEventListener('change', (e) => this.changeMicrophone(e.target.value));
         document.getElementById('refresh-cameras').addEventListener('click', () => this.refreshCameras());
 
-        // Populate camera dropdown
+        // Populate device dropdowns
         this.updateCameraDropdown();
+        this.updateMicrophoneDropdown();
     }
 
     updateCameraDropdown() {
@@ -420,6 +589,36 @@ class ClientApp {
         });
     }
 
+    updateMicrophoneDropdown() {
+        const select = document.getElementById('microphone-select');
+        if (!select) return;
+
+        select.innerHTML = '';
+
+        if (this.availableMicrophones.length === 0) {
+            select.innerHTML = '<option value="">No microphones found</option>';
+            return;
+        }
+
+        this.availableMicrophones.forEach(microphone => {
+            const option = document.createElement('option');
+            option.value = microphone.deviceId;
+            option.textContent = microphone.label || `Microphone ${microphone.deviceId.substring(0, 8)}`;
+            option.selected = microphone.deviceId === this.currentMicrophoneId;
+            select.appendChild(option);
+        });
+    }
+
+    async changeMicrophone(deviceId) {
+        if (!deviceId || deviceId === this.currentMicrophoneId) return;
+
+        this.currentMicrophoneId = deviceId;
+        console.log('Switching to microphone:', deviceId);
+
+        // Camera and microphone are captured together
+        await this.setupCamera();
+    }
+
     async changeCamera(deviceId) {
         if (!deviceId || deviceId === this.currentCameraId) return;
 
@@ -451,6 +650,7 @@ class ClientApp {
 
         await this.loadAvailableCameras();
         this.updateCameraDropdown();
+        this.updateMicrophoneDropdown();
 
         if (refreshButton) {
             refreshButton.textContent = 'Refresh';
@@ -461,6 +661,27 @@ class ClientApp {
     async connect() {
         if (this.isStarted || !this.localStream) return;
 
+        this.updateProfile();
+        if (!this.profile.displayName) {
+            document.getElementById('status').textContent = 'Enter your name so the host knows who is asking to join';
+            document.getElementById('display-name').focus();
+            return;
+        }
+
+        // Rejoin to send our profile - the host may also have started the room after this guest joined
+        if (!(await this.join())) return;
+
+        // The first join in setup may have failed before credentials were fetched, or they may have expired
+        if (Date.now() > this.turnExpiresAt - 60 * 1000) {
+            await this.fetchTurnCredentials();
+        }
+
+        if (!this.hostPeerId) {
+            document.getElementById('status').textContent = 'Waiting for the host to start the room - try again shortly';
+            return;
+        }
+
+        this.startSignaling();
         this.createPeerConnection();
         this.isStarted = true;
 
@@ -469,7 +690,8 @@ class ClientApp {
 
         document.getElementById('connect').textContent = 'Connecting to Host...';
         document.getElementById('connect').disabled = true;
-        document.getElementById('status').textContent = 'Establishing connection...';
+        // The host answers once it admits us from the waiting room
+        document.getElementById('status').textContent = 'Waiting for the host to let you in...';
     }
 
     createPeerConnection() {
@@ -477,16 +699,43 @@ class ClientApp {
 
         // Add local stream with optimized encoding
         this.localStream.getTracks().forEach(track => {
-            const sender = this.peerConnection.addTrack(track, this.localStream);
+            const sender = track.kind === 'video'
+                ? this.addSimulcastTrack(track)
+                : this.peerConnection.addTrack(track, this.localStream);
 
             // Optimize video encoding parameters
             if (track.kind === 'video') {
                 // Set codec preferences before optimizing sender
                 setTimeout(() => this.optimizeVideoSender(sender), 100);
             }
+
+            if (track.kind === 'audio') {
+                setTimeout(() => this.optimizeAudioSender(sender), 100);
+            }
+        });
+
+        // Make sure the offer can receive the host's camera and microphone
+        ['audio', 'video'].forEach(kind => {
+            const hasTransceiver = this.peerConnection.getTransceivers().some(t =>
+                t.receiver.track && t.receiver.track.kind === kind
+            );
+            if (!hasTransceiver) {
+                this.peerConnection.addTransceiver(kind, { direction: 'recvonly' });
+            }
         });
 
-        // No ontrack handler - client doesn't receive video
+        // Opus first - must be set before the offer is created
+        this.setPreferredAudioCodec();
+
+        // Created before the offer so the host gets it with the first negotiation
+        this.setupChatChannel(this.peerConnection.createDataChannel('chat'));
+        this.setupControlChannel(this.peerConnection.createDataChannel('control'));
+
+        // Render the host's stream when it shares its camera
+        this.peerConnection.ontrack = (event) => {
+            console.log(`Received ${event.track.kind} track from host`);
+            this.showRemoteTrack(event);
+        };
 
         // Handle ICE candidates
         this.peerConnection.onicecandidate = (event) => {
@@ -499,83 +748,553 @@ class ClientApp {
         };
 
         // Handle connection state changes
-        this.peerConnection.onconnectionstatechange = () => {
-            console.log('Connection state:', this.peerConnection.connectionState);
+        const peerConnection = this.peerConnection;
+        peerConnection.onconnectionstatechange = () => {
+            // Ignore connections replaced during recovery
+            if (peerConnection !== this.peerConnection) return;
+
+            console.log('Connection state:', peerConnection.connectionState);
 
             const connectButton = document.getElementById('connect');
             const statusDiv = document.getElementById('status');
 
-            switch (this.peerConnection.connectionState) {
+            switch (peerConnection.connectionState) {
                 case 'connected':
+                    this.resetRecovery();
+
                     connectButton.textContent = 'Connected to Host!';
                     connectButton.style.background = '#28a745';
                     statusDiv.textContent = 'Successfully sending video to host';
                     statusDiv.style.color = '#28a745';
 
+                    // Screen sharing needs a connected video sender
+                    document.getElementById('share-screen').disabled = !navigator.mediaDevices.getDisplayMedia;
+
                     // Show codec info panel
                     const codecInfoDiv = document.getElementById('codec-info');
                     if (codecInfoDiv) {
                         codecInfoDiv.style.display = 'block';
                     }
 
+                    if (this.answerReceivedAt) {
+                        const setupMs = Date.now() - this.answerReceivedAt;
+                        this.answerReceivedAt = null;
+                        this.performanceMonitor.recordConnectionTime(setupMs);
+                        this.performanceMonitor.recordSample({ setupMs });
+                    }
+
                     // Start smoothness monitoring for real-time adjustments
-                    this.smoothnessMonitor = new SmoothnessMonitor(this.peerConnection);
+                    this.stopSmoothnessMonitor();
+                    this.smoothnessMonitor = new SmoothnessMonitor(this.peerConnection, {
+                        onSample: (sample) => this.performanceMonitor.recordSample(sample)
+                    });
                     this.smoothnessMonitor.startMonitoring();
 
-                    // Stop polling once connected
-                    if (this.interval) {
-                        clearInterval(this.interval);
-                        this.interval = null;
-                        console.log('Polling stopped - connection established');
-                    }
+                    // Keep signaling open - the host renegotiates when it starts sharing its camera
                     break;
 
                 case 'connecting':
-                    statusDiv.textContent = 'Connecting to host...';
-                    statusDiv.style.color = '#ffc107';
+                    if (this.recoveryAttempt === 0) {
+                        statusDiv.textContent = 'Connecting to host...';
+                        statusDiv.style.color = '#ffc107';
+                    }
                     break;
 
                 case 'disconnected':
+                    // Often transient - give ICE a moment to recover on its own
+                    this.stopSmoothnessMonitor();
+                    if (this.recoveryAttempt === 0 && !this.recoveryTimer) {
+                        this.updateRecoveryStatus('Connection unstable - waiting for it to recover...');
+                        this.scheduleRecovery(RecoverySchedule.DISCONNECTED_WAIT);
+                    }
+                    break;
+
                 case 'failed':
-                    connectButton.textContent = 'Connection Failed';
-                    connectButton.style.background = '#dc3545';
-                    connectButton.disabled = false;
-                    statusDiv.textContent = 'Connection lost - click to retry';
-                    statusDiv.style.color = '#dc3545';
-
-                    // Stop monitoring on disconnect
-                    if (this.smoothnessMonitor) {
-                        this.smoothnessMonitor.stopMonitoring();
-                        this.smoothnessMonitor = null;
+                    this.stopSmoothnessMonitor();
+                    if (this.recoveryAttempt === 0) {
+                        clearTimeout(this.recoveryTimer);
+                        this.recoverConnection();
                     }
                     break;
             }
         };
     }
 
-    async makeOffer() {
-        const offer = await this.peerConnection.createOffer();
-        await this.peerConnection.setLocalDescription(offer);
+    addSimulcastTrack(track) {
+        try {
+            const transceiver = this.peerConnection.addTransceiver(track, {
+                direction: 'sendrecv',
+                streams: [this.localStream],
+                sendEncodings: ClientApp.VIDEO_LAYERS.map(({ rid, scaleResolutionDownBy }) => ({ rid, scaleResolutionDownBy }))
+            });
+            return transceiver.sender;
+        } catch (error) {
+            // Browsers without simulcast sendEncodings still get the single-encoding fallback
+            console.warn('Simulcast not supported, sending a single encoding:', error.message);
+            return this.peerConnection.addTrack(track, this.localStream);
+        }
+    }
+
+    stopSmoothnessMonitor() {
+        if (this.smoothnessMonitor) {
+            this.smoothnessMonitor.stopMonitoring();
+            this.smoothnessMonitor = null;
+        }
+    }
+
+    scheduleRecovery(delay) {
+        clearTimeout(this.recoveryTimer);
+        this.recoveryTimer = setTimeout(() => this.recoverConnection(), delay);
+    }
+
+    resetRecovery() {
+        clearTimeout(this.recoveryTimer);
+        this.recoveryTimer = null;
+
+        if (this.recoveryAttempt > 0) {
+            console.log(`Connection recovered after ${this.recoveryAttempt} attempt(s)`);
+        }
+        this.recoveryAttempt = 0;
+    }
+
+    updateRecoveryStatus(text) {
+        const connectButton = document.getElementById('connect');
+        const statusDiv = document.getElementById('status');
+
+        connectButton.textContent = 'Reconnecting...';
+        connectButton.style.background = '#ffc107';
+        connectButton.disabled = true;
+        statusDiv.textContent = text;
+        statusDiv.style.color = '#ffc107';
+    }
+
+    // Escalates on each call: ICE restart, then renegotiation, then rebuilding the connection with backoff
+    async recoverConnection() {
+        this.recoveryTimer = null;
+
+        if (this.peerConnection && this.peerConnection.connectionState === 'connected') {
+            this.resetRecovery();
+            return;
+        }
+
+        if (this.recoveryAttempt >= this.maxRecoveryAttempts) {
+            this.giveUpRecovery();
+            return;
+        }
+
+        this.recoveryAttempt++;
+
+        // Answers and candidates for the new offer arrive over signaling
+        this.startSignaling();
+
+        try {
+            if (this.recoveryAttempt === 1) {
+                this.updateRecoveryStatus('Connection lost - restarting ICE (attempt 1)...');
+                await this.restartIce();
+                this.scheduleRecovery(RecoverySchedule.ICE_RESTART_WAIT);
+
+            } else if (this.recoveryAttempt === 2) {
+                this.updateRecoveryStatus('Connection lost - renegotiating with host (attempt 2)...');
+                await this.renegotiate();
+                this.scheduleRecovery(RecoverySchedule.RENEGOTIATION_WAIT);
+
+            } else {
+                const backoff = RecoverySchedule.rebuildBackoff(this.recoveryAttempt);
+                this.updateRecoveryStatus(`Connection lost - rebuilding connection (attempt ${this.recoveryAttempt} of ${this.maxRecoveryAttempts})...`);
+                await this.rebuildPeerConnection();
+                this.scheduleRecovery(backoff);
+            }
+        } catch (error) {
+            console.error(`Recovery attempt ${this.recoveryAttempt} failed:`, error);
+            this.scheduleRecovery(RecoverySchedule.RETRY_WAIT);
+        }
+    }
+
+    async restartIce() {
+        // Drop an unanswered offer before making a new one
+        if (this.peerConnection.signalingState === 'have-local-offer') {
+            await this.peerConnection.setLocalDescription({ type: 'rollback' });
+        }
+
+        await this.makeOffer({ iceRestart: true });
+
+        console.log('Sent ICE restart offer');
+    }
+
+    async renegotiate() {
+        // The host may have reloaded, and TURN credentials may have expired
+        await this.join();
+        await this.fetchTurnCredentials();
+        this.peerConnection.setConfiguration(this.pcConfig);
+
+        await this.restartIce();
+    }
+
+    async rebuildPeerConnection() {
+        await this.stopScreenShare();
+        this.closePeerConnection();
+
+        await this.join();
+        this.createPeerConnection();
+        await this.makeOffer();
 
-        this.sendMessage({
-            type: 'offer',
-            offer: offer
+        console.log('Rebuilt peer connection');
+    }
+
+    closePeerConnection() {
+        this.stopSmoothnessMonitor();
+
+        if (this.chatChannel) {
+            this.chatChannel.onclose = null;
+            this.chatChannel.close();
+            this.chatChannel = null;
+            this.chatPanel.setEnabled(false);
+        }
+
+        if (this.controlChannel) {
+            this.controlChannel.close();
+            this.controlChannel = null;
+        }
+
+        if (this.peerConnection) {
+            this.peerConnection.onconnectionstatechange = null;
+            this.peerConnection.close();
+            this.peerConnection = null;
+        }
+
+        this.candidateQueue = [];
+    }
+
+    giveUpRecovery() {
+        console.warn('Giving up on automatic recovery');
+
+        this.resetRecovery();
+        this.closePeerConnection();
+        this.isStarted = false;
+
+        const connectButton = document.getElementById('connect');
+        const statusDiv = document.getElementById('status');
+
+        connectButton.textContent = 'Connection Failed - Retry';
+        connectButton.style.background = '#dc3545';
+        connectButton.disabled = false;
+        statusDiv.textContent = 'Connection lost - click to retry';
+        statusDiv.style.color = '#dc3545';
+        document.getElementById('share-screen').disabled = true;
+    }
+
+    setupChatChannel(channel) {
+        this.chatChannel = channel;
+
+        channel.onopen = () => {
+            this.chatPanel.setEnabled(true);
+            this.chatPanel.addNotice('Connected to the room chat');
+        };
+
+        channel.onmessage = (event) => {
+            const message = ChatPanel.parseMessage(event.data);
+            if (!message) return;
+
+            this.chatPanel.addMessage({
+                sender: message.sender || 'Host',
+                text: message.text,
+                sentAt: message.sentAt,
+                isPrivate: message.isPrivate
+            });
+        };
+
+        channel.onclose = () => {
+            if (this.chatChannel !== channel) return;
+            this.chatPanel.setEnabled(false);
+        };
+    }
+
+    sendChat(text) {
+        if (!this.chatChannel || this.chatChannel.readyState !== 'open') return false;
+
+        const sentAt = Date.now();
+        this.chatChannel.send(JSON.stringify({ type: 'chat', text, sender: this.profile.displayName, sentAt }));
+        this.chatPanel.addMessage({
+            sender: 'You',
+            text,
+            sentAt,
+            color: this.profile.color,
+            isOwn: true
         });
     }
 
+    setupControlChannel(channel) {
+        this.controlChannel = channel;
+
+        channel.onmessage = (event) => {
+            try {
+                this.handleHostCommand(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Host command error:', error);
+            }
+        };
+    }
+
+    async handleHostCommand(command) {
+        console.log(`Host command: ${command.action}`);
+
+        switch (command.action) {
+            case 'set-camera-enabled':
+                this.setCameraEnabledByHost(command.enabled === true);
+                break;
+            case 'switch-camera':
+                await this.switchToNextCamera();
+                break;
+            case 'set-max-bitrate':
+                await this.setHostBitrateLimit(command.maxBitrate);
+                break;
+            case 'set-video-layer':
+                await this.setVideoLayer(command.layer);
+                break;
+            case 'kick':
+                this.handleKicked();
+                break;
+            default:
+                console.warn(`Unknown host command: ${command.action}`);
+        }
+    }
+
+    setCameraEnabledByHost(enabled) {
+        this.cameraMutedByHost = !enabled;
+
+        // Disabled tracks keep the connection but send black frames
+        const sender = this.getVideoSender();
+        if (sender && sender.track) {
+            sender.track.enabled = enabled;
+        }
+        this.localStream?.getVideoTracks().forEach(track => { track.enabled = enabled; });
+
+        this.chatPanel?.addNotice(enabled ? 'The host turned your camera back on' : 'The host turned off your camera');
+    }
+
+    async switchToNextCamera() {
+        if (this.availableCameras.length < 2) {
+            console.log('Only one camera available - ignoring switch request');
+            return;
+        }
+
+        const index = this.availableCameras.findIndex(camera => camera.deviceId === this.currentCameraId);
+        const next = this.availableCameras[(index + 1) % this.availableCameras.length];
+
+        await this.changeCamera(next.deviceId);
+
+        const select = document.getElementById('camera-select');
+        if (select) select.value = next.deviceId;
+    }
+
+    async setHostBitrateLimit(maxBitrate) {
+        // Anything outside a sane range lifts the limit
+        this.hostMaxBitrate = Number.isFinite(maxBitrate) && maxBitrate >= 100000 && maxBitrate <= 5000000 ? maxBitrate : null;
+
+        const sender = this.getVideoSender();
+        if (sender) {
+            await this.optimizeVideoSender(sender, this.screenStream ? 'screen' : 'camera');
+        }
+
+        console.log(this.hostMaxBitrate ? `Host limited video to ${this.hostMaxBitrate / 1000}kbps` : 'Host lifted the video bitrate limit');
+    }
+
+    async setVideoLayer(layer) {
+        if (!ClientApp.VIDEO_LAYERS.some(({ rid }) => rid === layer) || layer === this.videoLayer) return;
+        this.videoLayer = layer;
+
+        const sender = this.getVideoSender();
+        if (sender) {
+            await this.optimizeVideoSender(sender, this.screenStream ? 'screen' : 'camera');
+        }
+
+        console.log(`Host requested the ${layer} video layer`);
+    }
+
+    handleKicked() {
+        this.handleRejection('You were removed from the room');
+        document.getElementById('connect').disabled = true;
+        document.getElementById('connect').textContent = 'Removed';
+    }
+
+    handleAccessDenied(status) {
+        if (status === 403) {
+            this.handleKicked();
+        } else {
+            this.handleRejection('Your session has expired - open the invite link again');
+        }
+    }
+
+    handleRejection(reason) {
+        console.warn(`Host ended the connection: ${reason}`);
+
+        this.resetRecovery();
+        this.closePeerConnection();
+        this.stopSignaling();
+        this.isStarted = false;
+
+        const connectButton = document.getElementById('connect');
+        const statusDiv = document.getElementById('status');
+
+        connectButton.textContent = 'Ask Again';
+        connectButton.style.background = '#6c757d';
+        connectButton.disabled = false;
+        statusDiv.textContent = reason || 'The host declined your request to join';
+        statusDiv.style.color = '#dc3545';
+        document.getElementById('share-screen').disabled = true;
+    }
+
+    showRemoteTrack(event) {
+        this.remoteVideo = document.getElementById('remote');
+        if (!this.remoteVideo) return;
+
+        if (!this.remoteVideo.srcObject) {
+            this.remoteVideo.srcObject = event.streams[0] || new MediaStream();
+        }
+
+        const stream = this.remoteVideo.srcObject;
+        if (!stream.getTracks().includes(event.track)) {
+            stream.addTrack(event.track);
+        }
+
+        // Hide the tile while the host isn't sending video
+        const updateVisibility = () => {
+            const hasLiveVideo = stream.getVideoTracks().some(track => !track.muted);
+            this.remoteVideo.style.display = hasLiveVideo ? 'inline-block' : 'none';
+        };
+
+        event.track.onmute = updateVisibility;
+        event.track.onunmute = updateVisibility;
+        updateVisibility();
+    }
+
+    async toggleScreenShare() {
+        if (this.screenStream) {
+            await this.stopScreenShare();
+        } else {
+            await this.startScreenShare();
+        }
+    }
+
+    async startScreenShare() {
+        const sender = this.getVideoSender();
+        if (!sender) return;
+
+        try {
+            this.screenStream = await navigator.mediaDevices.getDisplayMedia({
+                video: { frameRate: { ideal: 15, max: 30 } },
+                audio: false
+            });
+        } catch (error) {
+            // User cancelled the picker or capture isn't allowed
+            console.error('Screen share error:', error);
+            this.screenStream = null;
+            return;
+        }
+
+        const screenTrack = this.screenStream.getVideoTracks()[0];
+        screenTrack.contentHint = 'detail'; // Text and slides - keep edges sharp
+
+        // Browser "Stop sharing" bar ends the track - go back to the camera
+        screenTrack.addEventListener('ended', () => this.stopScreenShare());
+
+        await this.updateVideoTrack(screenTrack);
+        await this.optimizeVideoSender(sender, 'screen');
+
+        this.localVideo.srcObject = this.screenStream;
+        this.updateScreenShareButton();
+        console.log('🖥️ Screen sharing started');
+    }
+
+    async stopScreenShare() {
+        if (!this.screenStream) return;
+
+        this.screenStream.getTracks().forEach(track => track.stop());
+        this.screenStream = null;
+
+        const sender = this.getVideoSender();
+        if (sender) {
+            await this.updateVideoTrack();
+            await this.optimizeVideoSender(sender, 'camera');
+        }
+
+        this.localVideo.srcObject = this.localStream;
+        this.updateScreenShareButton();
+        console.log('📷 Screen sharing stopped - back to camera');
+    }
+
+    updateScreenShareButton() {
+        const button = document.getElementById('share-screen');
+        if (!button) return;
+
+        button.textContent = this.screenStream ? 'Stop Sharing' : 'Share Screen';
+        button.style.background = this.screenStream ? '#dc3545' : '#6c757d';
+    }
+
+    async makeOffer(options = {}) {
+        this.makingOffer = true;
+        try {
+            const offer = await this.peerConnection.createOffer(options);
+            await this.peerConnection.setLocalDescription(offer);
+
+            this.sendMessage({
+                type: 'offer',
+                offer: offer
+            });
+        } finally {
+            this.makingOffer = false;
+        }
+    }
+
     async handleMessage(message) {
         try {
             // Parse the data if it's a JSON string
             const messageData = typeof message.data === 'string' ? JSON.parse(message.data) : message.data;
 
-            if (message.type === 'answer') {
+            if (message.type === 'offer') {
+                // Host renegotiates to start sending its camera. The host is the polite side of
+                // perfect negotiation - it rolls back its own offer when ours crosses it, so ours wins here
+                if (!this.peerConnection || this.makingOffer || this.peerConnection.signalingState !== 'stable') {
+                    console.log('Ignoring host offer that collided with ours');
+                    return;
+                }
+
+                console.log('Received renegotiation offer from host');
+                await this.peerConnection.setRemoteDescription(messageData);
+                await this.processQueuedCandidates();
+
+                const answer = await this.peerConnection.createAnswer();
+                await this.peerConnection.setLocalDescription(answer);
+
+                this.sendMessage({
+                    type: 'answer',
+                    answer: answer
+                });
+
+            } else if (message.type === 'answer') {
+                // Ignore answers to offers replaced during recovery
+                if (!this.peerConnection || this.peerConnection.signalingState !== 'have-local-offer') {
+                    console.log('Ignoring stale answer from host');
+                    return;
+                }
+
                 // Client receives answer from host
                 console.log('Received answer from host');
+                this.answerReceivedAt = Date.now();
                 await this.peerConnection.setRemoteDescription(messageData);
 
+                // The answer decides whether simulcast survived - a browser peer keeps one encoding
+                const videoSender = this.getVideoSender();
+                if (videoSender) {
+                    await this.optimizeVideoSender(videoSender, this.screenStream ? 'screen' : 'camera');
+                }
+
                 // Process any queued ICE candidates
                 await this.processQueuedCandidates();
 
+            } else if (message.type === 'reject') {
+                this.handleRejection(messageData.reason);
+
             } else if (message.type === 'candidate') {
                 if (this.peerConnection && this.peerConnection.remoteDescription) {
                     // Remote description is set, add candidate immediately
@@ -605,28 +1324,42 @@ class ClientApp {
         }
     }
 
-    sendMessage(message) {
-        fetch(this.baseAddress + '/signaling', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                type: message.type,
-                peerId: this.peerId,
-                data: message.offer || message.answer || message.candidate
-            })
-        }).catch(error => console.error('Send error:', error));
+    async sendMessage(message) {
+        try {
+            const response = await fetch(this.baseAddress + '/signaling', {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({
+                    type: message.type,
+                    roomId: this.roomId,
+                    peerId: this.peerId,
+                    data: message.offer || message.answer || message.candidate,
+                    targetPeer: this.hostPeerId // Only the host should receive our offer and candidates
+                })
+            });
+
+            if (!response.ok) {
+                const { status, code, message: error } = await SignalingChannel.readError(response);
+                if (status === 401 || status === 403) {
+                    this.handleAccessDenied(status);
+                } else {
+                    this.showSignalingError(error, code);
+                }
+            }
+        } catch (error) {
+            console.error('Send error:', error);
+        }
     }
 
     async fetchTurnCredentials() {
         try {
             console.log('Fetching TURN credentials...');
 
+            const ttl = 14400; // 4 hours - the server caps anything longer
             const response = await fetch(this.baseAddress + '/turn-credentials', {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ ttl: 86400 }) // 24 hours
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({ ttl })
             });
 
             if (response.ok) {
@@ -640,12 +1373,14 @@ class ClientApp {
                         { urls: 'stun:stun.l.google.com:19302' }, // STUN fallback
                         
                     ];
+                    this.turnExpiresAt = Date.now() + ttl * 1000;
                     console.log('Updated WebRTC config with dynamic TURN credentials');
                 } else {
                     console.warn('No ICE servers received from TURN API');
                 }
             } else {
-                console.warn('Failed to fetch TURN credentials, using STUN only');
+                const { error, code } = await response.json().catch(() => ({}));
+                console.warn(`Failed to fetch TURN credentials (${code || response.status}: ${error}), using STUN only`);
             }
         } catch (error) {
             console.error('Error fetching TURN credentials:', error);
@@ -653,7 +1388,7 @@ class ClientApp {
         }
     }
 
-    async optimizeVideoSender(sender) {
+    async optimizeVideoSender(sender, contentType = 'camera') {
         try {
             // First, try to set preferred codec for maximum compression
             const selectedCodec = await this.setPreferredCodec();
@@ -752,6 +1487,22 @@ class ClientApp {
                     console.log(`⚙️ FALLBACK SMOOTH: ${params.encodings[0].maxBitrate / 1000}kbps @ ${deviceCapabilities.optimalFrameRate}fps`);
                 }
 
+                // Screen content favors detail over motion
+                if (contentType === 'screen') {
+                    this.applyScreenProfile(params);
+                } else if (params.degradationPreference) {
+                    params.degradationPreference = 'balanced'; // Undo the screen profile
+                }
+
+                this.applyVideoLayers(params, contentType);
+
+                // The host may have asked for less bandwidth
+                if (this.hostMaxBitrate) {
+                    params.encodings.forEach(encoding => {
+                        encoding.maxBitrate = Math.min(encoding.maxBitrate, this.hostMaxBitrate);
+                    });
+                }
+
                 // Apply the smooth-optimized parameters
                 await sender.setParameters(params);
                 console.log('✅ SMOOTH + COMPRESSED streaming settings applied successfully');
@@ -767,6 +1518,71 @@ class ClientApp {
         }
     }
 
+    applyVideoLayers(params, contentType) {
+        // encodings[0] holds the full-resolution settings chosen above
+        const [full, ...lower] = params.encodings;
+        const requested = contentType === 'screen'
+            ? ClientApp.VIDEO_LAYERS[0] // Shared screens are only readable at full resolution
+            : ClientApp.VIDEO_LAYERS.find(({ rid }) => rid === this.videoLayer);
+
+        if (lower.length === 0) {
+            // Peer-to-peer fallback: a single encoding scaled down to the requested layer
+            full.scaleResolutionDownBy = requested.scaleResolutionDownBy;
+            full.maxBitrate = Math.round(full.maxBitrate * requested.bitrateShare);
+            if (full.minBitrate) {
+                full.minBitrate = Math.min(full.minBitrate, full.maxBitrate);
+            }
+            return;
+        }
+
+        // Real simulcast: lower layers derive from the full one, layers above the request are paused
+        const requestedIndex = ClientApp.VIDEO_LAYERS.indexOf(requested);
+        params.encodings.forEach((encoding, index) => {
+            const layer = ClientApp.VIDEO_LAYERS.find(({ rid }) => rid === encoding.rid) || ClientApp.VIDEO_LAYERS[index];
+            if (index > 0) {
+                encoding.scaleResolutionDownBy = layer.scaleResolutionDownBy;
+                encoding.maxBitrate = Math.round(full.maxBitrate * layer.bitrateShare);
+                encoding.maxFramerate = full.maxFramerate;
+                delete encoding.minBitrate;
+            }
+            encoding.active = index >= requestedIndex;
+        });
+    }
+
+    applyScreenProfile(params) {
+        // Slides and code change rarely but must stay readable: full resolution, few frames
+        params.degradationPreference = 'maintain-resolution';
+        params.encodings[0].scaleResolutionDownBy = 1;
+        params.encodings[0].maxFramerate = 15;
+        params.encodings[0].maxBitrate = Math.round(params.encodings[0].maxBitrate * 1.5);
+
+        console.log(`🖥️ SCREEN PROFILE: ${params.encodings[0].maxBitrate / 1000}kbps @ 15fps, resolution locked`);
+    }
+
+    async optimizeAudioSender(sender) {
+        try {
+            const params = sender.getParameters();
+
+            if (params.encodings && params.encodings.length > 0) {
+                // Opus voice: 32 kbps is clear speech, 64 kbps leaves headroom for music
+                params.encodings[0].maxBitrate = 64000;
+
+                if (params.encodings[0].hasOwnProperty('priority')) {
+                    params.encodings[0].priority = 'high'; // Audio dropouts hurt more than video ones
+                }
+
+                if (params.encodings[0].hasOwnProperty('networkPriority')) {
+                    params.encodings[0].networkPriority = 'high';
+                }
+
+                await sender.setParameters(params);
+                console.log('🎙️ Opus audio settings applied: 64kbps max');
+            }
+        } catch (error) {
+            console.error('Error optimizing audio encoding:', error);
+        }
+    }
+
     getCodecType(mimeType) {
         if (mimeType.toUpperCase().includes('AV01')) return 'AV1';
         if (mimeType.toUpperCase().includes('VP9')) return 'VP9';
@@ -833,6 +1649,35 @@ class ClientApp {
         return null;
     }
 
+    setPreferredAudioCodec() {
+        try {
+            const audioTransceiver = this.peerConnection.getTransceivers().find(t =>
+                t.sender && t.sender.track && t.sender.track.kind === 'audio'
+            );
+
+            if (!audioTransceiver || !audioTransceiver.setCodecPreferences) return null;
+
+            const capabilities = RTCRtpSender.getCapabilities('audio');
+            if (!capabilities || !capabilities.codecs) return null;
+
+            // Opus first (with RED redundancy if supported), keep the rest for compatibility
+            const audioPriority = ['OPUS', 'RED'];
+            const rank = (codec) => {
+                const index = audioPriority.findIndex(preferred => codec.mimeType.toUpperCase().includes(preferred));
+                return index === -1 ? audioPriority.length : index;
+            };
+
+            const codecs = [...capabilities.codecs].sort((a, b) => rank(a) - rank(b));
+            audioTransceiver.setCodecPreferences(codecs);
+
+            console.log(`🎙️ Selected audio codec: ${codecs[0].mimeType}`);
+            return codecs[0];
+        } catch (error) {
+            console.error('Error setting audio codec preferences:', error);
+        }
+        return null;
+    }
+
     getCompressionBenefit(codecType) {
         const benefits = {
             'AV1': '50% better compression, 50% smaller files',
@@ -887,5 +1732,12 @@ class ClientApp {
     }
 }
 
+// Full first: a peer that cannot receive simulcast keeps only the first encoding
+ClientApp.VIDEO_LAYERS = [
+    { rid: 'f', scaleResolutionDownBy: 1, bitrateShare: 1 },
+    { rid: 'h', scaleResolutionDownBy: 2, bitrateShare: 0.35 },
+    { rid: 'q', scaleResolutionDownBy: 4, bitrateShare: 0.12 }
+];
+
 // Start the client app
 new ClientApp();
\ No newline at end of file
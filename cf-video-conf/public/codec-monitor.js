@@ -8,6 +8,8 @@ class CodecMonitor {
             quality: []
         };
         this.monitoringInterval = null;
+        this.byteCounters = new Map(); // Map of stat id -> { bytes, timestamp } for bitrate deltas
+        this.lastInbound = new Map(); // Map of stat id -> previous inbound-rtp stat for loss and delay deltas
     }
 
     async detectSendingCodec(peerConnection) {
@@ -24,7 +26,7 @@ class CodecMonitor {
                                 payloadType: codecStat.payloadType,
                                 bytesEncoded: stat.bytesEncoded,
                                 framesSent: stat.framesSent,
-                                bitrate: this.calculateBitrate(stat.bytesSent, stat.timestamp)
+                                bitrate: this.calculateBitrate(stat.id, stat.bytesSent, stat.timestamp)
                             };
                             
                             console.log('🎥 Sending Video Codec:', this.codecInfo.sending);
@@ -53,7 +55,7 @@ class CodecMonitor {
                                 payloadType: codecStat.payloadType,
                                 bytesReceived: stat.bytesReceived,
                                 framesReceived: stat.framesReceived,
-                                bitrate: this.calculateBitrate(stat.bytesReceived, stat.timestamp)
+                                bitrate: this.calculateBitrate(stat.id, stat.bytesReceived, stat.timestamp)
                             };
                             
                             console.log('📺 Receiving Video Codec:', this.codecInfo.receiving);
@@ -68,30 +70,96 @@ class CodecMonitor {
         return null;
     }
 
-    calculateBitrate(bytes, timestamp) {
-        if (!this.lastBytes || !this.lastTimestamp) {
-            this.lastBytes = bytes;
-            this.lastTimestamp = timestamp;
+    calculateBitrate(statId, bytes, timestamp) {
+        // Tracked per stat so audio, video and simulcast layers don't skew each other
+        const previous = this.byteCounters.get(statId);
+        this.byteCounters.set(statId, { bytes, timestamp });
+
+        if (!previous || timestamp <= previous.timestamp) {
             return 0;
         }
 
-        const bitrate = ((bytes - this.lastBytes) * 8) / ((timestamp - this.lastTimestamp) / 1000);
-        this.lastBytes = bytes;
-        this.lastTimestamp = timestamp;
-        
-        return Math.round(bitrate);
+        return Math.round(((bytes - previous.bytes) * 8) / ((timestamp - previous.timestamp) / 1000));
+    }
+
+    // One sample of what the host receives from a guest, see StatsOverlay
+    async collectReceiverStats(peerConnection) {
+        const stats = await peerConnection.getStats();
+        let video = null;
+        let audio = null;
+
+        stats.forEach(stat => {
+            if (stat.type !== 'inbound-rtp') return;
+            if (stat.kind === 'video') video = stat;
+            if (stat.kind === 'audio') audio = stat;
+        });
+
+        if (!video) return null;
+
+        const codec = video.codecId ? stats.get(video.codecId) : null;
+        const previous = this.lastInbound.get(video.id);
+        this.lastInbound.set(video.id, video);
+
+        // Loss and jitter buffer delay are cumulative - report them for the last interval
+        let lossPercent = 0;
+        let jitterBufferMs = 0;
+        if (previous) {
+            const lost = (video.packetsLost || 0) - (previous.packetsLost || 0);
+            const received = (video.packetsReceived || 0) - (previous.packetsReceived || 0);
+            lossPercent = lost + received > 0 ? Math.max(0, (lost / (lost + received)) * 100) : 0;
+
+            const emitted = (video.jitterBufferEmittedCount || 0) - (previous.jitterBufferEmittedCount || 0);
+            const delay = (video.jitterBufferDelay || 0) - (previous.jitterBufferDelay || 0);
+            jitterBufferMs = emitted > 0 ? (delay / emitted) * 1000 : 0;
+        }
+
+        const sample = {
+            timestamp: Date.now(),
+            codec: codec ? this.getCodecName(codec.mimeType) : 'Unknown',
+            width: video.frameWidth || 0,
+            height: video.frameHeight || 0,
+            fps: Math.round(video.framesPerSecond || 0),
+            bitrateKbps: Math.round(this.calculateBitrate(video.id, video.bytesReceived || 0, video.timestamp) / 1000),
+            audioBitrateKbps: audio ? Math.round(this.calculateBitrate(audio.id, audio.bytesReceived || 0, audio.timestamp) / 1000) : 0,
+            jitterBufferMs: Math.round(jitterBufferMs),
+            lossPercent: Math.round(lossPercent * 100) / 100,
+            packetsLost: video.packetsLost || 0,
+            framesDropped: video.framesDropped || 0,
+            freezeCount: video.freezeCount || 0,
+            freezeSeconds: Math.round((video.totalFreezesDuration || 0) * 10) / 10,
+            nackCount: video.nackCount || 0,
+            pliCount: video.pliCount || 0,
+            firCount: video.firCount || 0
+        };
+
+        if (codec) {
+            this.codecInfo.receiving = {
+                mimeType: codec.mimeType,
+                clockRate: codec.clockRate,
+                payloadType: codec.payloadType,
+                bytesReceived: video.bytesReceived,
+                framesReceived: video.framesReceived,
+                bitrate: sample.bitrateKbps * 1000
+            };
+        }
+
+        return sample;
     }
 
-    startMonitoring(peerConnection, type = 'client') {
+    startMonitoring(peerConnection, type = 'client', { interval = 5000, onStats = () => {} } = {}) {
         this.monitoringInterval = setInterval(async () => {
             if (type === 'client') {
                 await this.detectSendingCodec(peerConnection);
                 await this.updateUI();
             } else {
-                await this.detectReceivingCodec(peerConnection);
-                await this.updateHostUI();
+                try {
+                    const sample = await this.collectReceiverStats(peerConnection);
+                    if (sample) onStats(sample);
+                } catch (error) {
+                    console.error('Error collecting receiver stats:', error);
+                }
             }
-        }, 5000); // Monitor every 5 seconds
+        }, interval);
     }
 
     stopMonitoring() {
@@ -114,19 +182,6 @@ class CodecMonitor {
         }
     }
 
-    async updateHostUI() {
-        const statusDiv = document.getElementById('status');
-        if (statusDiv && this.codecInfo.receiving) {
-            const codecName = this.getCodecName(this.codecInfo.receiving.mimeType);
-            const bitrate = Math.round(this.codecInfo.receiving.bitrate / 1000); // Convert to kbps
-            
-            const originalText = statusDiv.textContent;
-            if (!originalText.includes('|')) {
-                statusDiv.textContent = `${originalText} | Receiving ${codecName} @ ${bitrate}kbps`;
-            }
-        }
-    }
-
     getCodecName(mimeType) {
         if (mimeType.includes('AV01')) return 'AV1';
         if (mimeType.includes('VP9')) return 'VP9';
@@ -1,16 +1,37 @@
-// Multi-Guest Host App - Receives video streams from multiple guests
+// Multi-Guest Host App - Receives video streams from multiple guests and can publish its own camera back
 class HostApp {
     constructor() {
         this.videosContainer = null;
         this.peerConnections = new Map(); // Map of peerId -> RTCPeerConnection
         this.videoElements = new Map(); // Map of peerId -> video element
-        this.peerId = 'HOST_' + crypto.randomUUID();
-        this.lastMessageTimestamp = 0;
-        this.interval = false;
+        this.peerId = null; // Assigned by the server with the room
+        this.roomId = null;
+        this.token = null; // Host session token - grants host privileges in this room only
+        this.inviteToken = null; // Shared with guests through the invite link
+        this.signaling = null; // SignalingChannel - WebSocket with polling fallback
         this.candidateQueues = new Map(); // Map of peerId -> ICE candidate queue
-        this.connectedGuests = 0;
+        this.connectedGuests = 0; // Derived from connection states, see updateGuestCount
+        this.disconnectTimers = new Map(); // Map of peerId -> grace period timer
+        this.disconnectGracePeriod = RecoverySchedule.hostGracePeriod(); // Keep tiles while the guest recovers, up to its first rebuild
         this.isListening = false; // Toggle state for listening to new connections
         this.codecMonitors = new Map(); // Map of peerId -> CodecMonitor
+        this.statsOverlays = new Map(); // Map of peerId -> StatsOverlay on that guest's tile
+        this.statsHistory = new Map(); // Map of peerId -> { label, samples } for the whole session, see exportStats
+        this.performanceMonitor = new PerformanceMonitor({ getHeaders: () => this.token ? this.getAuthHeaders() : null });
+        this.pendingGuests = new Map(); // Map of peerId -> latest offer, waiting in the lobby for admit/reject
+        this.admittedGuests = new Set(); // Guests the host let in - their later offers are answered directly
+        this.guestProfiles = new Map(); // Map of peerId -> { displayName, role, color } sent with the guest's join
+        this.chatChannels = new Map(); // Map of peerId -> open 'chat' RTCDataChannel
+        this.controlChannels = new Map(); // Map of peerId -> 'control' RTCDataChannel for host commands
+        this.mutedCameras = new Set(); // Guests whose camera the host turned off
+        this.videoLayers = new Map(); // Map of peerId -> simulcast layer last requested from the guest
+        this.tileObserver = null; // ResizeObserver picking each guest's layer from its tile size
+        this.layout = null; // LayoutManager for the guest tiles
+        this.recorders = new Map(); // Map of peerId -> StreamRecorder for that guest's tile
+        this.compositeRecorder = null; // CompositeRecorder for all tiles while recording the session
+        this.recordingSessionId = crypto.randomUUID(); // Groups this page load's uploads, see resumeUnfinishedRecordings
+        this.chatPanel = null;
+        this.localStream = null; // Host camera and microphone, published to every guest when sharing
 
         // WebRTC configuration - will be updated with dynamic TURN credentials
         this.pcConfig = {
@@ -33,14 +54,79 @@ class HostApp {
 
     async setup() {
         this.setupVideo();
+        await this.openRoom();
+        await this.join();
+        this.performanceMonitor.start();
         await this.fetchTurnCredentials(); // Get dynamic TURN credentials
-        this.join();
         this.setupUI();
+        this.resumeUnfinishedRecordings(); // Finish uploads a closed or crashed tab left behind
         // Don't start polling automatically - wait for user to toggle
     }
 
+    async openRoom() {
+        // Reuse the room from the URL so a reload keeps the same invite link
+        const params = new URLSearchParams(window.location.search);
+        const stored = params.get('room') && sessionStorage.getItem(`host-room:${params.get('room')}`);
+
+        if (stored) {
+            Object.assign(this, JSON.parse(stored));
+            console.log(`Resuming room ${this.roomId}`);
+            return;
+        }
+
+        // Only the server can create a room and hand out its host token
+        const response = await fetch('/rooms', { method: 'POST' });
+        if (!response.ok) {
+            throw new Error(`Could not create room: HTTP ${response.status}`);
+        }
+
+        const room = await response.json();
+        this.roomId = room.roomId;
+        this.peerId = room.peerId;
+        this.token = room.token;
+        this.inviteToken = room.inviteToken;
+        this.saveRoom();
+
+        params.set('room', this.roomId);
+        window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+        console.log(`Created room ${this.roomId}`);
+    }
+
+    saveRoom() {
+        // sessionStorage keeps the host token in this tab only
+        const { roomId, peerId, token, inviteToken } = this;
+        sessionStorage.setItem(`host-room:${roomId}`, JSON.stringify({ roomId, peerId, token, inviteToken }));
+    }
+
+    getAuthHeaders() {
+        return { 'Content-Type': 'application/json', 'Authorization': `Bearer ${this.token}` };
+    }
+
+    getInviteLink() {
+        const params = new URLSearchParams({ room: this.roomId, invite: this.inviteToken });
+        return `${window.location.origin}/client.html?${params}`;
+    }
+
+    // Show the invite link guests use to join this room
+    showInviteLink() {
+        const inviteInput = document.getElementById('invite-link');
+        if (inviteInput) {
+            inviteInput.value = this.getInviteLink();
+        }
+    }
+
     setupVideo() {
         this.videosContainer = document.getElementById('videos');
+        this.layout = new LayoutManager({
+            container: this.videosContainer,
+            getPeerConnections: () => this.peerConnections
+        });
+        this.layout.apply();
+        if (typeof ResizeObserver !== 'undefined') {
+            this.tileObserver = new ResizeObserver(entries => {
+                entries.forEach(entry => this.updateVideoLayer(entry.target.dataset.guestId));
+            });
+        }
         console.log('Host ready - waiting for remote streams');
     }
 
@@ -49,21 +135,34 @@ class HostApp {
             // Show cleaning status
             const statusDiv = document.getElementById('status');
             if (statusDiv) {
-                statusDiv.textContent = 'Initializing host - cleaning database...';
+                statusDiv.textContent = 'Initializing host - resetting room...';
                 statusDiv.style.background = '#ffc107';
             }
 
             const response = await fetch('/signaling', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: this.getAuthHeaders(),
                 body: JSON.stringify({
                     type: 'join',
+                    roomId: this.roomId,
                     peerId: this.peerId
                 })
             });
 
+            if (!response.ok) {
+                const { status, code, message } = await SignalingChannel.readError(response);
+                if (status === 401 || status === 403) {
+                    this.handleAccessDenied(status);
+                } else {
+                    this.showSignalingError(message, code);
+                }
+                return;
+            }
+
             const data = await response.json();
-            console.log('Host joined. Database cleaned for fresh session');
+            this.token = data.token; // Refreshed session token
+            this.saveRoom();
+            console.log(`Host joined room ${this.roomId}. Room reset for fresh session`);
 
         } catch (error) {
             console.error('Join error:', error);
@@ -71,49 +170,52 @@ class HostApp {
     }
 
     startPolling() {
-        if (this.interval) return; // Already polling
-
-        let pollInterval = 1000; // Start with 1 second
-        const maxInterval = 3000; // Max 3 seconds for host (needs to be more responsive)
-        let consecutiveEmptyPolls = 0;
+        if (!this.signaling) {
+            this.signaling = new SignalingChannel({
+                roomId: this.roomId,
+                peerId: this.peerId,
+                getToken: () => this.token,
+                onMessage: (message) => this.handleMessage(message),
+                onAccessDenied: (status) => this.handleAccessDenied(status),
+                maxPollInterval: 3000 // Max 3 seconds for host (needs to be more responsive)
+            });
+        }
 
-        this.interval = setInterval(async () => {
-            try {
-                const response = await fetch(`/messages?peerId=${this.peerId}&since=${this.lastMessageTimestamp}`);
-                const data = await response.json();
+        this.signaling.start();
+        console.log('Started listening for new connections');
+    }
 
-                // Handle both old and new response formats
-                const messages = data.messages || data.m || [];
-                const timestamp = data.timestamp || data.t;
+    stopPolling() {
+        if (this.signaling) {
+            this.signaling.stop();
+            console.log('Stopped listening for new connections');
+        }
+    }
 
-                if (messages.length > 0) {
-                    consecutiveEmptyPolls = 0;
-                    for (const message of messages) {
-                        await this.handleMessage(message);
-                    }
-                } else {
-                    consecutiveEmptyPolls++;
-                    // Gradually increase polling interval when inactive
-                    if (consecutiveEmptyPolls > 2 && pollInterval < maxInterval) {
-                        pollInterval = Math.min(pollInterval * 1.2, maxInterval);
-                    }
-                }
+    // An admin ended the room (403) or the host token expired (401)
+    handleAccessDenied(status) {
+        console.warn(`🛑 Host access denied (HTTP ${status})`);
+        this.isListening = false;
+        this.stopPolling();
+        this.updateUI();
 
-                this.lastMessageTimestamp = timestamp;
-            } catch (error) {
-                console.error('Polling error:', error);
-            }
-        }, pollInterval);
+        // A reload then opens a new room instead of resuming this one
+        sessionStorage.removeItem(`host-room:${this.roomId}`);
 
-        console.log('Started polling for new connections');
+        const statusDiv = document.getElementById('status');
+        statusDiv.textContent = status === 403
+            ? 'This room was ended by an administrator - reload to open a new room'
+            : 'Your host session has expired - reload to open a new room';
+        statusDiv.style.background = '#dc3545';
+        document.getElementById('toggle-listening').disabled = true;
     }
 
-    stopPolling() {
-        if (this.interval) {
-            clearInterval(this.interval);
-            this.interval = false;
-            console.log('Stopped polling for new connections');
-        }
+    // Shows a worker error ({ error, code }) in the status line
+    showSignalingError(message, code) {
+        console.error(`❌ Signaling error (${code}): ${message}`);
+        const statusDiv = document.getElementById('status');
+        statusDiv.textContent = `Signaling error: ${message}`;
+        statusDiv.style.background = '#dc3545';
     }
 
     setupUI() {
@@ -123,9 +225,57 @@ class HostApp {
         const toggleButton = document.getElementById('toggle-listening');
         toggleButton.addEventListener('click', () => this.toggleListening());
 
+        const cameraButton = document.getElementById('toggle-camera');
+        cameraButton.addEventListener('click', () => this.toggleCamera());
+
+        const statsButton = document.getElementById('toggle-stats');
+        statsButton.addEventListener('click', () => this.toggleStats());
+        if (localStorage.getItem('host-show-stats') === 'true') {
+            this.toggleStats();
+        }
+
+        document.getElementById('export-stats').addEventListener('click', () => this.exportStats());
+
+        const layoutSelect = document.getElementById('layout-mode');
+        layoutSelect.value = this.layout.mode;
+        layoutSelect.addEventListener('change', () => this.layout.setMode(layoutSelect.value));
+
+        const recordButton = document.getElementById('record-session');
+        if (StreamRecorder.isSupported()) {
+            recordButton.addEventListener('click', () => this.toggleSessionRecording());
+        } else {
+            recordButton.disabled = true;
+            recordButton.title = 'Recording is not supported in this browser';
+        }
+
+        this.showInviteLink();
+
+        const copyButton = document.getElementById('copy-invite');
+        if (copyButton) {
+            copyButton.addEventListener('click', () => this.copyInviteLink());
+        }
+
+        this.chatPanel = new ChatPanel({
+            container: document.getElementById('chat-panel'),
+            onSend: (text, guestId) => this.sendChat(text, guestId)
+        });
+        this.updateChatRecipients();
+
         this.updateUI();
     }
 
+    async copyInviteLink() {
+        const copyButton = document.getElementById('copy-invite');
+        try {
+            await navigator.clipboard.writeText(this.getInviteLink());
+            copyButton.textContent = 'Copied!';
+        } catch (error) {
+            console.error('Copy error:', error);
+            copyButton.textContent = 'Copy failed';
+        }
+        setTimeout(() => { copyButton.textContent = 'Copy'; }, 2000);
+    }
+
     toggleListening() {
         this.isListening = !this.isListening;
 
@@ -138,10 +288,118 @@ class HostApp {
         this.updateUI();
     }
 
+    async toggleCamera() {
+        const cameraButton = document.getElementById('toggle-camera');
+        cameraButton.disabled = true;
+
+        if (this.localStream) {
+            await this.stopLocalStream();
+        } else {
+            await this.startLocalStream();
+        }
+
+        cameraButton.disabled = false;
+        this.updateUI();
+    }
+
+    async startLocalStream() {
+        try {
+            this.localStream = await navigator.mediaDevices.getUserMedia({
+                video: true,
+                audio: {
+                    echoCancellation: true,
+                    noiseSuppression: true,
+                    autoGainControl: true
+                }
+            });
+
+            const localVideo = document.getElementById('host-local');
+            localVideo.srcObject = this.localStream;
+            localVideo.style.display = 'inline-block';
+
+            // Publish to guests that are already connected
+            for (const [guestId, peerConnection] of this.peerConnections) {
+                await this.publishLocalStream(peerConnection, guestId);
+            }
+
+            console.log('Host camera shared with guests');
+        } catch (error) {
+            console.error('Host camera error:', error);
+            this.localStream = null;
+        }
+    }
+
+    async stopLocalStream() {
+        this.localStream.getTracks().forEach(track => track.stop());
+        this.localStream = null;
+
+        const localVideo = document.getElementById('host-local');
+        localVideo.srcObject = null;
+        localVideo.style.display = 'none';
+
+        // Stop sending without renegotiating - the transceivers stay for the next share
+        for (const peerConnection of this.peerConnections.values()) {
+            for (const sender of peerConnection.getSenders()) {
+                if (sender.track) {
+                    await sender.replaceTrack(null);
+                }
+            }
+        }
+
+        console.log('Host camera no longer shared');
+    }
+
+    async publishLocalStream(peerConnection, guestId) {
+        if (!this.localStream) return;
+
+        let needsRenegotiation = false;
+
+        for (const track of this.localStream.getTracks()) {
+            // Reuse a sender left idle by a previous share before adding a new one
+            const idleTransceiver = peerConnection.getTransceivers().find(t =>
+                !t.stopped && !t.sender.track && t.receiver.track.kind === track.kind &&
+                (t.direction === 'sendrecv' || t.direction === 'sendonly')
+            );
+
+            if (idleTransceiver) {
+                await idleTransceiver.sender.replaceTrack(track);
+                idleTransceiver.sender.setStreams(this.localStream);
+            } else {
+                peerConnection.addTrack(track, this.localStream);
+                needsRenegotiation = true;
+            }
+        }
+
+        // Guests that are already connected need a new offer to start receiving
+        if (needsRenegotiation && peerConnection.signalingState === 'stable' && peerConnection.remoteDescription) {
+            await this.renegotiate(peerConnection, guestId);
+        }
+    }
+
+    async renegotiate(peerConnection, guestId) {
+        try {
+            const offer = await peerConnection.createOffer();
+            await peerConnection.setLocalDescription(offer);
+
+            this.sendMessage({
+                type: 'offer',
+                offer: offer
+            }, guestId);
+
+            console.log(`Sent renegotiation offer to guest: ${guestId}`);
+        } catch (error) {
+            console.error(`Renegotiation error for ${guestId}:`, error);
+        }
+    }
+
     updateUI() {
         const toggleButton = document.getElementById('toggle-listening');
+        const cameraButton = document.getElementById('toggle-camera');
         const statusDiv = document.getElementById('status');
 
+        cameraButton.textContent = this.localStream ? 'Stop My Camera' : 'Share My Camera';
+        cameraButton.style.background = this.localStream ? '#dc3545' : '#007bff';
+
         if (this.isListening) {
             toggleButton.textContent = 'Stop Listening';
             toggleButton.style.background = '#dc3545';
@@ -156,18 +414,125 @@ class HostApp {
     }
 
     updateGuestCount() {
+        // Count real connections rather than track events
+        const connectedIds = [...this.peerConnections.entries()]
+            .filter(([, peerConnection]) => peerConnection.connectionState === 'connected')
+            .map(([guestId]) => guestId);
+        this.connectedGuests = connectedIds.length;
+
         const countElement = document.getElementById('guest-count');
         if (countElement) {
-            countElement.textContent = `Connected guests: ${this.connectedGuests}`;
+            const names = connectedIds.map(guestId => this.getGuestLabel(guestId)).join(', ');
+            countElement.textContent = `Connected guests: ${this.connectedGuests}${names ? ` - ${names}` : ''}`;
         }
 
         // Update status to show guest count when listening
-        if (this.isListening) {
-            const statusDiv = document.getElementById('status');
-            if (statusDiv && this.connectedGuests > 0) {
-                statusDiv.textContent = `Host Active - Listening (${this.connectedGuests} connected)`;
+        this.updateConnectionStatus();
+    }
+
+    getGuestLabel(guestId) {
+        const profile = this.guestProfiles.get(guestId);
+        if (profile?.displayName) {
+            return profile.role ? `${profile.displayName} (${profile.role})` : profile.displayName;
+        }
+        return `Guest: ${guestId.split('_')[1]?.substring(0, 8) || 'Unknown'}`;
+    }
+
+    updateGuestProfile(guestId, profile) {
+        if (!profile) return;
+
+        const previous = this.guestProfiles.get(guestId);
+        this.guestProfiles.set(guestId, profile);
+        if (previous && JSON.stringify(previous) === JSON.stringify(profile)) return;
+
+        // Relabel everything that shows this guest
+        const label = document.querySelector(`#container-${CSS.escape(guestId)} .video-label`);
+        if (label) {
+            label.textContent = this.getGuestLabel(guestId);
+            label.style.borderLeft = profile.color ? `4px solid ${profile.color}` : '';
+        }
+        this.renderWaitingRoom();
+        this.updateGuestCount();
+        this.updateChatRecipients();
+    }
+
+    addPendingGuest(guestId, offer) {
+        if (this.pendingGuests.has(guestId)) {
+            // A newer offer replaces the old one along with its candidates
+            this.candidateQueues.set(guestId, []);
+        } else {
+            console.log(`Guest ${guestId} is waiting to be admitted`);
+        }
+
+        this.pendingGuests.set(guestId, offer);
+        this.renderWaitingRoom();
+    }
+
+    async admitGuest(guestId) {
+        const offer = this.pendingGuests.get(guestId);
+        if (!offer) return;
+
+        this.pendingGuests.delete(guestId);
+        this.admittedGuests.add(guestId);
+        this.renderWaitingRoom();
+
+        console.log(`Admitted guest: ${guestId}`);
+        try {
+            await this.acceptOffer(guestId, offer);
+        } catch (error) {
+            console.error(`Error admitting ${guestId}:`, error);
+        }
+    }
+
+    rejectGuest(guestId) {
+        if (!this.pendingGuests.delete(guestId)) return;
+
+        this.candidateQueues.delete(guestId);
+        this.renderWaitingRoom();
+
+        this.sendMessage({
+            type: 'reject',
+            reject: { reason: 'The host declined your request to join' }
+        }, guestId);
+        console.log(`Rejected guest: ${guestId}`);
+    }
+
+    renderWaitingRoom() {
+        const waitingRoom = document.getElementById('waiting-room');
+        const list = document.getElementById('pending-guests');
+        if (!waitingRoom || !list) return;
+
+        list.replaceChildren();
+        for (const guestId of this.pendingGuests.keys()) {
+            const item = document.createElement('li');
+            item.className = 'pending-guest';
+
+            const name = document.createElement('span');
+            name.textContent = this.getGuestLabel(guestId);
+            const color = this.guestProfiles.get(guestId)?.color;
+            if (color) {
+                name.style.borderLeft = `4px solid ${color}`;
+                name.style.paddingLeft = '6px';
             }
+
+            const admitButton = document.createElement('button');
+            admitButton.className = 'admit';
+            admitButton.textContent = 'Admit';
+            admitButton.addEventListener('click', () => this.admitGuest(guestId));
+
+            const rejectButton = document.createElement('button');
+            rejectButton.className = 'reject';
+            rejectButton.textContent = 'Reject';
+            rejectButton.addEventListener('click', () => this.rejectGuest(guestId));
+
+            item.appendChild(name);
+            item.appendChild(admitButton);
+            item.appendChild(rejectButton);
+            list.appendChild(item);
         }
+
+        waitingRoom.style.display = this.pendingGuests.size > 0 ? 'block' : 'none';
+        document.getElementById('pending-count').textContent = this.pendingGuests.size;
     }
 
     createVideoElement(guestId) {
@@ -177,37 +542,339 @@ class HostApp {
 
         const video = document.createElement('video');
         video.id = `video-${guestId}`;
+        video.dataset.guestId = guestId;
         video.autoplay = true;
         video.playsInline = true;
         video.muted = false;
 
         const label = document.createElement('div');
         label.className = 'video-label';
-        label.textContent = `Guest: ${guestId.split('_')[1]?.substring(0, 8) || 'Unknown'}`;
+        label.textContent = this.getGuestLabel(guestId);
+
+        // Per-guest audio controls
+        const audioControls = document.createElement('div');
+        audioControls.className = 'audio-controls';
+
+        const muteButton = document.createElement('button');
+        muteButton.textContent = '🔊';
+        muteButton.title = 'Mute guest';
+        muteButton.addEventListener('click', () => {
+            video.muted = !video.muted;
+            muteButton.textContent = video.muted ? '🔇' : '🔊';
+            muteButton.title = video.muted ? 'Unmute guest' : 'Mute guest';
+        });
+
+        const volumeSlider = document.createElement('input');
+        volumeSlider.type = 'range';
+        volumeSlider.min = '0';
+        volumeSlider.max = '1';
+        volumeSlider.step = '0.05';
+        volumeSlider.value = String(video.volume);
+        volumeSlider.title = 'Guest volume';
+        volumeSlider.addEventListener('input', () => {
+            video.volume = parseFloat(volumeSlider.value);
+        });
+
+        audioControls.appendChild(muteButton);
+        audioControls.appendChild(volumeSlider);
+
+        // Remote controls, carried out by the guest's page
+        const guestControls = document.createElement('div');
+        guestControls.className = 'guest-controls';
+
+        const cameraButton = document.createElement('button');
+        cameraButton.textContent = '📷';
+        cameraButton.title = 'Turn off guest camera';
+        cameraButton.addEventListener('click', () => {
+            const enabled = this.mutedCameras.has(guestId);
+            if (!this.sendCommand(guestId, { action: 'set-camera-enabled', enabled })) return;
+
+            enabled ? this.mutedCameras.delete(guestId) : this.mutedCameras.add(guestId);
+            cameraButton.textContent = enabled ? '📷' : '🚫';
+            cameraButton.title = enabled ? 'Turn off guest camera' : 'Turn on guest camera';
+        });
+
+        const switchButton = document.createElement('button');
+        switchButton.textContent = '🔄';
+        switchButton.title = 'Ask guest to switch camera';
+        switchButton.addEventListener('click', () => this.sendCommand(guestId, { action: 'switch-camera' }));
+
+        const bitrateSelect = document.createElement('select');
+        bitrateSelect.title = 'Guest video bitrate';
+        [['Auto', ''], ['1 Mbps', '1000000'], ['500 kbps', '500000'], ['250 kbps', '250000']].forEach(([text, value]) => {
+            bitrateSelect.appendChild(new Option(text, value));
+        });
+        bitrateSelect.addEventListener('change', () => {
+            this.sendCommand(guestId, { action: 'set-max-bitrate', maxBitrate: bitrateSelect.value ? Number(bitrateSelect.value) : null });
+        });
+
+        const fullscreenButton = document.createElement('button');
+        fullscreenButton.textContent = '⛶';
+        fullscreenButton.title = 'Fullscreen (double-click the tile to pin it)';
+        fullscreenButton.addEventListener('click', () => this.layout.toggleFullscreen(guestId));
+
+        const kickButton = document.createElement('button');
+        kickButton.textContent = '⛔';
+        kickButton.title = 'Remove guest from the room';
+        kickButton.addEventListener('click', () => this.kickGuest(guestId));
+
+        const recordButton = document.createElement('button');
+        recordButton.className = 'record';
+        recordButton.textContent = '⏺';
+        recordButton.title = 'Record this guest';
+        recordButton.disabled = !StreamRecorder.isSupported();
+        recordButton.addEventListener('click', () => this.toggleGuestRecording(guestId));
+
+        const recordElapsed = document.createElement('span');
+        recordElapsed.className = 'record-elapsed';
+
+        guestControls.appendChild(recordButton);
+        guestControls.appendChild(recordElapsed);
+        guestControls.appendChild(cameraButton);
+        guestControls.appendChild(switchButton);
+        guestControls.appendChild(bitrateSelect);
+        guestControls.appendChild(fullscreenButton);
+        guestControls.appendChild(kickButton);
 
         videoContainer.appendChild(video);
         videoContainer.appendChild(label);
+        videoContainer.appendChild(audioControls);
+        videoContainer.appendChild(guestControls);
         this.videosContainer.appendChild(videoContainer);
 
         this.videoElements.set(guestId, video);
+        this.statsOverlays.set(guestId, new StatsOverlay({ container: videoContainer }));
+        this.layout.addTile(guestId, videoContainer);
+        this.tileObserver?.observe(video);
         console.log(`Created video element for guest: ${guestId}`);
 
         return video;
     }
 
+    toggleGuestRecording(guestId) {
+        const existing = this.recorders.get(guestId);
+        if (existing) {
+            existing.stop();
+            return;
+        }
+
+        const video = this.videoElements.get(guestId);
+        if (!video || !video.srcObject) return;
+
+        const container = document.getElementById(`container-${guestId}`);
+        const recordButton = container.querySelector('.record');
+        const elapsed = container.querySelector('.record-elapsed');
+
+        const name = this.getGuestLabel(guestId).replace(/[^\w-]+/g, '_');
+        const uploader = this.createUploader(name);
+        const recorder = new StreamRecorder({
+            stream: video.srcObject,
+            name,
+            onTick: (ms) => { elapsed.textContent = StreamRecorder.formatElapsed(ms); },
+            onChunk: (chunk) => uploader?.push(chunk),
+            onStop: (blob) => {
+                this.recorders.delete(guestId);
+                this.finishRecording(recorder, uploader, blob);
+                // The tile may already be gone when a disconnect stopped the recording
+                recordButton.textContent = '⏺';
+                recordButton.title = 'Record this guest';
+                elapsed.textContent = '';
+            }
+        });
+
+        recorder.start();
+        uploader?.start(recorder.contentType);
+        this.recorders.set(guestId, recorder);
+        recordButton.textContent = '⏹';
+        recordButton.title = uploader ? 'Stop recording and upload' : 'Stop recording and download';
+    }
+
+    toggleSessionRecording() {
+        const recordButton = document.getElementById('record-session');
+        const elapsed = document.getElementById('session-elapsed');
+
+        if (this.compositeRecorder) {
+            this.compositeRecorder.stop();
+            return;
+        }
+
+        const uploader = this.createUploader('session');
+        const recorder = new CompositeRecorder({
+            getTiles: () => [...this.videoElements.entries()].map(([guestId, video]) => ({
+                video,
+                label: this.getGuestLabel(guestId)
+            })),
+            onTick: (ms) => { elapsed.textContent = `⏺ ${StreamRecorder.formatElapsed(ms)}`; },
+            onChunk: (chunk) => uploader?.push(chunk),
+            onStop: (blob) => {
+                this.finishRecording(recorder, uploader, blob);
+                this.compositeRecorder = null;
+                recordButton.textContent = 'Record Session';
+                recordButton.style.background = '#6f42c1';
+                elapsed.textContent = '';
+            }
+        });
+
+        this.compositeRecorder = recorder;
+        recorder.start();
+        uploader?.start(recorder.contentType);
+        recordButton.textContent = 'Stop Recording';
+        recordButton.style.background = '#dc3545';
+    }
+
+    createUploader(name) {
+        const uploadCheckbox = document.getElementById('upload-recordings');
+        if (!uploadCheckbox?.checked) return null;
+
+        return new RecordingUploader({
+            getHeaders: () => this.getAuthHeaders(),
+            sessionId: this.recordingSessionId,
+            name
+        });
+    }
+
+    async finishRecording(recorder, uploader, blob) {
+        if (!uploader) {
+            recorder.download(blob);
+            return;
+        }
+
+        try {
+            await uploader.finish();
+        } catch (error) {
+            // The whole recording is still in memory, so nothing is lost
+            console.error('Upload failed, downloading the recording instead:', error);
+            recorder.download(blob);
+        }
+        this.loadRecordings();
+    }
+
+    async resumeUnfinishedRecordings() {
+        const recordings = await this.loadRecordings();
+
+        // Parts already in R2 are complete on their own - only the unsent tail was lost
+        const stale = recordings.filter(recording =>
+            recording.status === 'uploading' && recording.sessionId !== this.recordingSessionId
+        );
+        for (const recording of stale) {
+            try {
+                const response = await fetch(`/recordings/${recording.id}/complete`, {
+                    method: 'POST',
+                    headers: this.getAuthHeaders()
+                });
+                console.log(`☁️ Resumed recording ${recording.name}: HTTP ${response.status}`);
+            } catch (error) {
+                console.error(`Could not resume recording ${recording.name}:`, error);
+            }
+        }
+
+        if (stale.length > 0) {
+            await this.loadRecordings();
+        }
+    }
+
+    async loadRecordings() {
+        try {
+            const response = await fetch('/recordings', { headers: this.getAuthHeaders() });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const { recordings } = await response.json();
+            this.renderRecordings(recordings);
+            return recordings;
+        } catch (error) {
+            console.error('Error loading recordings:', error);
+            return [];
+        }
+    }
+
+    renderRecordings(recordings) {
+        const list = document.getElementById('recordings-list');
+        if (!list) return;
+
+        list.replaceChildren();
+        if (recordings.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No uploaded recordings yet';
+            empty.style.color = '#666';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const recording of recordings) {
+            const item = document.createElement('li');
+            item.style.margin = '6px 0';
+
+            const label = document.createElement('span');
+            const when = new Date(recording.createdAt).toLocaleString();
+            label.textContent = `${recording.name} - ${when}`;
+            item.appendChild(label);
+
+            if (recording.downloadUrl) {
+                const size = document.createElement('span');
+                size.textContent = ` (${(recording.size / 1024 / 1024).toFixed(1)} MB) `;
+                size.style.color = '#666';
+
+                const link = document.createElement('a');
+                link.href = recording.downloadUrl;
+                link.textContent = 'Download';
+
+                item.appendChild(size);
+                item.appendChild(link);
+            } else {
+                const status = document.createElement('em');
+                status.textContent = ' uploading...';
+                status.style.color = '#666';
+                item.appendChild(status);
+            }
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = 'Delete';
+            deleteButton.style.marginLeft = '10px';
+            deleteButton.addEventListener('click', () => this.deleteRecording(recording));
+            item.appendChild(deleteButton);
+
+            list.appendChild(item);
+        }
+    }
+
+    async deleteRecording(recording) {
+        if (!confirm(`Delete the recording "${recording.name}"?`)) return;
+
+        try {
+            await fetch(`/recordings/${recording.id}`, { method: 'DELETE', headers: this.getAuthHeaders() });
+        } catch (error) {
+            console.error('Error deleting recording:', error);
+        }
+        this.loadRecordings();
+    }
+
     removeVideoElement(guestId) {
+        // Finish (and upload or download) a recording of a guest that left
+        this.recorders.get(guestId)?.stop();
+
+        const video = this.videoElements.get(guestId);
+        if (video) {
+            this.tileObserver?.unobserve(video);
+        }
+        this.videoLayers.delete(guestId);
+
         const container = document.getElementById(`container-${guestId}`);
         if (container) {
             container.remove();
             this.videoElements.delete(guestId);
+            this.statsOverlays.delete(guestId);
+            this.layout.removeTile(guestId);
             console.log(`Removed video element for guest: ${guestId}`);
         }
     }
 
     createPeerConnection(guestId) {
         const peerConnection = new RTCPeerConnection(this.pcConfig);
+        let createdAt = Date.now(); // Cleared once the setup time is reported
 
-        // Host doesn't add local stream - only receives
+        // Local stream (if shared) is added once the guest's offer is applied, see handleMessage
 
         // Handle remote stream
         peerConnection.ontrack = (event) => {
@@ -219,14 +886,6 @@ class HostApp {
             }
 
             video.srcObject = event.streams[0];
-            this.connectedGuests++;
-            this.updateGuestCount();
-
-            const statusElement = document.getElementById('status');
-            if (statusElement) {
-                statusElement.textContent = `Host Active - ${this.connectedGuests} guest(s) connected`;
-                statusElement.style.background = '#007bff';
-            }
             
             // Log codec information for received stream
             this.logReceivedCodec(event, guestId);
@@ -242,15 +901,47 @@ class HostApp {
             }
         };
 
+        // Guests open the chat channel with their offer
+        peerConnection.ondatachannel = (event) => {
+            if (event.channel.label === 'chat') {
+                this.setupChatChannel(guestId, event.channel);
+            } else if (event.channel.label === 'control') {
+                this.setupControlChannel(guestId, event.channel);
+            }
+        };
+
         // Handle connection state changes
         peerConnection.onconnectionstatechange = () => {
+            // Ignore connections replaced by a guest's rebuilt one
+            if (this.peerConnections.get(guestId) !== peerConnection) return;
+
             console.log(`Connection state for ${guestId}:`, peerConnection.connectionState);
-            if (peerConnection.connectionState === 'disconnected' ||
-                peerConnection.connectionState === 'failed' ||
-                peerConnection.connectionState === 'closed') {
 
-                this.handleGuestDisconnection(guestId);
+            switch (peerConnection.connectionState) {
+                case 'connected':
+                    this.cancelDisconnectTimer(guestId);
+                    this.setTileState(guestId, null);
+                    if (createdAt) {
+                        const setupMs = Date.now() - createdAt;
+                        createdAt = null;
+                        this.performanceMonitor.recordConnectionTime(setupMs);
+                        this.performanceMonitor.recordSample({ remotePeerId: guestId, setupMs });
+                    }
+                    break;
+
+                case 'disconnected':
+                case 'failed':
+                    // The guest restarts ICE or renegotiates - keep the tile for a grace period
+                    this.setTileState(guestId, 'Reconnecting...');
+                    this.startDisconnectTimer(guestId);
+                    break;
+
+                case 'closed':
+                    this.handleGuestDisconnection(guestId);
+                    break;
             }
+
+            this.updateGuestCount();
         };
 
         this.peerConnections.set(guestId, peerConnection);
@@ -259,7 +950,61 @@ class HostApp {
         return peerConnection;
     }
 
+    startDisconnectTimer(guestId) {
+        if (this.disconnectTimers.has(guestId)) return;
+
+        this.disconnectTimers.set(guestId, setTimeout(() => {
+            this.disconnectTimers.delete(guestId);
+
+            const peerConnection = this.peerConnections.get(guestId);
+            if (!peerConnection || peerConnection.connectionState !== 'connected') {
+                console.log(`Guest ${guestId} did not recover within ${this.disconnectGracePeriod / 1000}s`);
+                this.handleGuestDisconnection(guestId);
+            }
+        }, this.disconnectGracePeriod));
+    }
+
+    cancelDisconnectTimer(guestId) {
+        clearTimeout(this.disconnectTimers.get(guestId));
+        this.disconnectTimers.delete(guestId);
+    }
+
+    setTileState(guestId, text) {
+        const container = document.getElementById(`container-${guestId}`);
+        if (!container) return;
+
+        container.classList.toggle('reconnecting', Boolean(text));
+
+        let badge = container.querySelector('.tile-state');
+        if (text && !badge) {
+            badge = document.createElement('div');
+            badge.className = 'tile-state';
+            container.appendChild(badge);
+        }
+
+        if (badge) {
+            badge.textContent = text || '';
+            badge.style.display = text ? 'block' : 'none';
+        }
+    }
+
+    updateConnectionStatus() {
+        const statusElement = document.getElementById('status');
+        if (!statusElement || !this.isListening) return;
+
+        if (this.connectedGuests === 0) {
+            statusElement.textContent = 'Host Active - Ready for guests';
+            statusElement.style.background = '#28a745';
+        } else {
+            statusElement.textContent = `Host Active - ${this.connectedGuests} guest(s) connected`;
+            statusElement.style.background = '#007bff';
+        }
+    }
+
     async logReceivedCodec(trackEvent, guestId) {
+        // One monitor per guest covers both its audio and video tracks
+        if (this.codecMonitors.has(guestId)) return;
+
         try {
             // Create codec monitor for this guest
             const codecMonitor = new CodecMonitor();
@@ -269,7 +1014,10 @@ class HostApp {
             setTimeout(() => {
                 const peerConnection = this.peerConnections.get(guestId);
                 if (peerConnection) {
-                    codecMonitor.startMonitoring(peerConnection, 'host');
+                    codecMonitor.startMonitoring(peerConnection, 'host', {
+                        interval: 2000,
+                        onStats: (sample) => this.recordStats(guestId, sample)
+                    });
                 }
             }, 2000);
             
@@ -278,12 +1026,206 @@ class HostApp {
         }
     }
 
-    handleGuestDisconnection(guestId) {
-        console.log(`Guest disconnected: ${guestId}`);
+    recordStats(guestId, sample) {
+        const history = this.statsHistory.get(guestId) || { label: this.getGuestLabel(guestId), samples: [] };
+        history.label = this.getGuestLabel(guestId);
+        history.samples.push(sample);
+        // About two hours at one sample every 2 seconds
+        if (history.samples.length > 3600) {
+            history.samples.shift();
+        }
+        this.statsHistory.set(guestId, history);
+
+        this.statsOverlays.get(guestId)?.update(sample);
+
+        this.performanceMonitor.recordSample({
+            remotePeerId: guestId,
+            codec: sample.codec,
+            bitrateKbps: sample.bitrateKbps,
+            lossPercent: sample.lossPercent,
+            fps: sample.fps
+        });
+    }
+
+    toggleStats() {
+        const visible = this.videosContainer.classList.toggle('show-stats');
+        localStorage.setItem('host-show-stats', String(visible));
+
+        const statsButton = document.getElementById('toggle-stats');
+        statsButton.textContent = visible ? 'Hide Stats' : 'Show Stats';
+    }
+
+    exportStats() {
+        const report = {
+            roomId: this.roomId,
+            exportedAt: new Date().toISOString(),
+            guests: Object.fromEntries(this.statsHistory)
+        };
+
+        const url = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `stats-${this.roomId}-${report.exportedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    setupChatChannel(guestId, channel) {
+        channel.onopen = () => {
+            this.chatChannels.set(guestId, channel);
+            this.updateChatRecipients();
+            this.chatPanel.addNotice(`${this.getGuestLabel(guestId)} joined the chat`);
+        };
+
+        channel.onmessage = (event) => {
+            const message = ChatPanel.parseMessage(event.data);
+            if (!message) return;
+
+            // Name the sender from its join profile rather than trusting the message
+            this.chatPanel.addMessage({
+                sender: this.getGuestLabel(guestId),
+                text: message.text,
+                sentAt: message.sentAt,
+                color: this.guestProfiles.get(guestId)?.color
+            });
+        };
+
+        channel.onclose = () => {
+            // A rebuilt connection may already have replaced this channel
+            if (this.chatChannels.get(guestId) !== channel) return;
+
+            this.chatChannels.delete(guestId);
+            this.updateChatRecipients();
+            this.chatPanel.addNotice(`${this.getGuestLabel(guestId)} left the chat`);
+        };
+    }
+
+    setupControlChannel(guestId, channel) {
+        this.controlChannels.set(guestId, channel);
+
+        // A new channel means a new connection - tell it which layer this tile needs
+        this.videoLayers.delete(guestId);
+        if (channel.readyState === 'open') {
+            this.updateVideoLayer(guestId);
+        } else {
+            channel.onopen = () => this.updateVideoLayer(guestId);
+        }
+
+        channel.onclose = () => {
+            if (this.controlChannels.get(guestId) === channel) {
+                this.controlChannels.delete(guestId);
+            }
+        };
+    }
 
-        // Clean up peer connection
+    sendCommand(guestId, command) {
+        const channel = this.controlChannels.get(guestId);
+        if (!channel || channel.readyState !== 'open') {
+            console.warn(`Cannot send ${command.action} to ${guestId} - control channel not open`);
+            return false;
+        }
+
+        channel.send(JSON.stringify(command));
+        console.log(`Sent ${command.action} to ${guestId}`);
+        return true;
+    }
+
+    chooseVideoLayer(video) {
+        // Fullscreen tiles need every pixel; otherwise match the rendered height of a 720p camera
+        if (document.fullscreenElement && document.fullscreenElement.contains(video)) return 'f';
+
+        const height = video.clientHeight * (window.devicePixelRatio || 1);
+        if (height <= 180) return 'q';
+        if (height <= 360) return 'h';
+        return 'f';
+    }
+
+    updateVideoLayer(guestId) {
+        const video = this.videoElements.get(guestId);
+        if (!video || this.controlChannels.get(guestId)?.readyState !== 'open') return;
+
+        // Hidden tiles report no size - keep whatever they had
+        if (video.clientHeight === 0) return;
+
+        const layer = this.chooseVideoLayer(video);
+        if (this.videoLayers.get(guestId) === layer) return;
+
+        if (this.sendCommand(guestId, { action: 'set-video-layer', layer })) {
+            this.videoLayers.set(guestId, layer);
+        }
+    }
+
+    async kickGuest(guestId) {
+        if (!confirm(`Remove ${this.getGuestLabel(guestId)} from the room?`)) return;
+
+        // Tell the guest page first, then make sure it cannot come back with its session
+        this.sendCommand(guestId, { action: 'kick' });
+
+        try {
+            const response = await fetch('/rooms/kick', {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({ peerId: guestId })
+            });
+            if (!response.ok) {
+                const { code, message } = await SignalingChannel.readError(response);
+                this.showSignalingError(message, code);
+            } else {
+                // The invite the guest joined with is revoked - share the replacement from now on
+                const { inviteToken } = await response.json();
+                this.inviteToken = inviteToken;
+                this.saveRoom();
+                this.showInviteLink();
+                console.log('Invite link rotated after kick');
+            }
+        } catch (error) {
+            console.error(`Kick error for ${guestId}:`, error);
+        }
+
+        this.admittedGuests.delete(guestId);
+        this.mutedCameras.delete(guestId);
+        this.handleGuestDisconnection(guestId);
+        this.chatPanel.addNotice(`${this.getGuestLabel(guestId)} was removed from the room`);
+    }
+
+    sendChat(text, guestId = null) {
+        const channels = guestId
+            ? [this.chatChannels.get(guestId)].filter(Boolean)
+            : [...this.chatChannels.values()];
+        if (channels.length === 0) return false;
+
+        const sentAt = Date.now();
+        const payload = JSON.stringify({ type: 'chat', text, sender: 'Host', sentAt, private: !!guestId });
+        channels.forEach(channel => channel.readyState === 'open' && channel.send(payload));
+
+        this.chatPanel.addMessage({
+            sender: 'You',
+            recipient: guestId ? this.getGuestLabel(guestId) : null,
+            text,
+            sentAt,
+            isOwn: true,
+            isPrivate: !!guestId
+        });
+    }
+
+    updateChatRecipients() {
+        if (!this.chatPanel) return;
+
+        this.chatPanel.setRecipients([...this.chatChannels.keys()].map(guestId => ({
+            id: guestId,
+            label: this.getGuestLabel(guestId)
+        })));
+    }
+
+    discardPeerConnection(guestId) {
+        this.cancelDisconnectTimer(guestId);
+
+        // Clean up peer connection without triggering its state handler
         const peerConnection = this.peerConnections.get(guestId);
         if (peerConnection) {
+            peerConnection.onconnectionstatechange = null;
             peerConnection.close();
             this.peerConnections.delete(guestId);
         }
@@ -295,25 +1237,55 @@ class HostApp {
             this.codecMonitors.delete(guestId);
         }
 
-        // Remove video element
-        this.removeVideoElement(guestId);
-
         // Clean up candidate queue
         this.candidateQueues.delete(guestId);
+    }
+
+    handleGuestDisconnection(guestId) {
+        console.log(`Guest disconnected: ${guestId}`);
+
+        this.discardPeerConnection(guestId);
+
+        // Remove video element
+        this.removeVideoElement(guestId);
 
-        // Update count
-        this.connectedGuests = Math.max(0, this.connectedGuests - 1);
         this.updateGuestCount();
+    }
 
-        const statusElement = document.getElementById('status');
-        if (statusElement) {
-            if (this.connectedGuests === 0) {
-                statusElement.textContent = 'Host Active - Ready for guests';
-                statusElement.style.background = '#28a745';
-            } else {
-                statusElement.textContent = `Host Active - ${this.connectedGuests} guest(s) connected`;
-            }
+    getFingerprint(sdp) {
+        const match = sdp && sdp.match(/a=fingerprint:(\S+ \S+)/);
+        return match ? match[1] : null;
+    }
+
+    // An offer with the same DTLS fingerprint comes from the guest's existing connection (ICE restart or renegotiation)
+    isSameSession(peerConnection, offer) {
+        if (peerConnection.connectionState === 'closed' || !peerConnection.remoteDescription) return false;
+
+        const currentFingerprint = this.getFingerprint(peerConnection.remoteDescription.sdp);
+        return currentFingerprint !== null && currentFingerprint === this.getFingerprint(offer.sdp);
+    }
+
+    async handleRenegotiationOffer(peerConnection, guestId, offer) {
+        console.log(`Received renegotiation offer from guest: ${guestId}`);
+
+        // The guest's offer wins over one of ours that is still pending
+        if (peerConnection.signalingState === 'have-local-offer') {
+            await peerConnection.setLocalDescription({ type: 'rollback' });
         }
+
+        await peerConnection.setRemoteDescription(offer);
+        await this.processQueuedCandidates(guestId);
+
+        const answer = await peerConnection.createAnswer();
+        await peerConnection.setLocalDescription(answer);
+
+        this.sendMessage({
+            type: 'answer',
+            answer: answer
+        }, guestId);
+
+        // Tracks rolled back above still need to reach the guest
+        await this.publishLocalStream(peerConnection, guestId);
     }
 
     async handleMessage(message) {
@@ -321,26 +1293,33 @@ class HostApp {
             // Parse the data if it's a JSON string
             const messageData = typeof message.data === 'string' ? JSON.parse(message.data) : message.data;
             const fromGuestId = message.fromPeerId; // This comes from the database query
+            this.updateGuestProfile(fromGuestId, message.fromProfile);
 
             if (message.type === 'offer') {
-                console.log(`Received offer from guest: ${fromGuestId}`);
+                const existingConnection = this.peerConnections.get(fromGuestId);
 
-                // Create new peer connection for this guest
-                const peerConnection = this.createPeerConnection(fromGuestId);
+                if (existingConnection && this.isSameSession(existingConnection, messageData)) {
+                    await this.handleRenegotiationOffer(existingConnection, fromGuestId, messageData);
+                    return;
+                }
 
-                await peerConnection.setRemoteDescription(messageData);
+                console.log(`Received offer from guest: ${fromGuestId}`);
 
-                // Process any queued ICE candidates for this guest
-                await this.processQueuedCandidates(fromGuestId);
+                // New guests wait in the lobby until the host lets them in
+                if (!this.admittedGuests.has(fromGuestId)) {
+                    this.addPendingGuest(fromGuestId, messageData);
+                    return;
+                }
 
-                // Create answer (host responds to guest's offer)
-                const answer = await peerConnection.createAnswer();
-                await peerConnection.setLocalDescription(answer);
+                await this.acceptOffer(fromGuestId, messageData);
 
-                this.sendMessage({
-                    type: 'answer',
-                    answer: answer
-                }, fromGuestId);
+            } else if (message.type === 'answer') {
+                // Guest answered a renegotiation offer
+                const peerConnection = this.peerConnections.get(fromGuestId);
+                if (peerConnection && peerConnection.signalingState === 'have-local-offer') {
+                    await peerConnection.setRemoteDescription(messageData);
+                    await this.processQueuedCandidates(fromGuestId);
+                }
 
             } else if (message.type === 'candidate') {
                 const peerConnection = this.peerConnections.get(fromGuestId);
@@ -354,6 +1333,11 @@ class HostApp {
                     queue.push(messageData);
                     this.candidateQueues.set(fromGuestId, queue);
                     console.log(`Queued ICE candidate for ${fromGuestId} - waiting for remote description`);
+                } else if (this.pendingGuests.has(fromGuestId)) {
+                    // Keep the candidates of a waiting guest until it is admitted
+                    const queue = this.candidateQueues.get(fromGuestId) || [];
+                    queue.push(messageData);
+                    this.candidateQueues.set(fromGuestId, queue);
                 } else {
                     console.log(`Ignoring ICE candidate for ${fromGuestId} - no peer connection yet`);
                 }
@@ -363,6 +1347,33 @@ class HostApp {
         }
     }
 
+    async acceptOffer(guestId, offer) {
+        // A rebuilt guest connection replaces the old one but keeps its tile
+        if (this.peerConnections.has(guestId)) {
+            this.discardPeerConnection(guestId);
+        }
+
+        // Create new peer connection for this guest
+        const peerConnection = this.createPeerConnection(guestId);
+
+        await peerConnection.setRemoteDescription(offer);
+
+        // Answer with our camera on the guest's receive transceivers when sharing
+        await this.publishLocalStream(peerConnection, guestId);
+
+        // Process any queued ICE candidates for this guest
+        await this.processQueuedCandidates(guestId);
+
+        // Create answer (host responds to guest's offer)
+        const answer = await peerConnection.createAnswer();
+        await peerConnection.setLocalDescription(answer);
+
+        this.sendMessage({
+            type: 'answer',
+            answer: answer
+        }, guestId);
+    }
+
     async processQueuedCandidates(guestId) {
         const queue = this.candidateQueues.get(guestId) || [];
         const peerConnection = this.peerConnections.get(guestId);
@@ -382,17 +1393,31 @@ class HostApp {
         this.candidateQueues.set(guestId, queue);
     }
 
-    sendMessage(message, targetGuestId = null) {
-        fetch('/signaling', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                type: message.type,
-                peerId: this.peerId,
-                data: message.answer || message.candidate,
-                targetPeer: targetGuestId // Optional: specify which guest this message is for
-            })
-        }).catch(error => console.error('Send error:', error));
+    async sendMessage(message, targetGuestId = null) {
+        try {
+            const response = await fetch('/signaling', {
+                method: 'POST',
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({
+                    type: message.type,
+                    roomId: this.roomId,
+                    peerId: this.peerId,
+                    data: message.offer || message.answer || message.candidate || message.reject,
+                    targetPeer: targetGuestId // Deliver only to this guest (null broadcasts to the room)
+                })
+            });
+
+            if (!response.ok) {
+                const { status, code, message: error } = await SignalingChannel.readError(response);
+                if (status === 401 || status === 403) {
+                    this.handleAccessDenied(status);
+                } else {
+                    this.showSignalingError(error, code);
+                }
+            }
+        } catch (error) {
+            console.error('Send error:', error);
+        }
     }
 
     async fetchTurnCredentials() {
@@ -401,10 +1426,8 @@ class HostApp {
             
             const response = await fetch('/turn-credentials', {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ ttl: 86400 }) // 24 hours
+                headers: this.getAuthHeaders(),
+                body: JSON.stringify({ ttl: 14400 }) // 4 hours - the server caps anything longer
             });
 
             if (response.ok) {
@@ -422,7 +1445,8 @@ class HostApp {
                     console.warn('No ICE servers received from TURN API');
                 }
             } else {
-                console.warn('Failed to fetch TURN credentials, using STUN only');
+                const { error, code } = await response.json().catch(() => ({}));
+                console.warn(`Failed to fetch TURN credentials (${code || response.status}: ${error}), using STUN only`);
             }
         } catch (error) {
             console.error('Error fetching TURN credentials:', error);
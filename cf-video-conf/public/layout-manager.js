@@ -0,0 +1,164 @@
+// Layout Manager - arranges the host's guest tiles as a grid, a spotlight or around the active speaker
+class LayoutManager {
+    constructor({ container, getPeerConnections, storageKey = 'host-layout', speakerThreshold = 0.05, speakerHoldMs = 2000 }) {
+        this.container = container; // #videos
+        this.getPeerConnections = getPeerConnections; // () => Map of peerId -> RTCPeerConnection
+        this.storageKey = storageKey; // localStorage key - the layout mode survives reloads
+        this.speakerThreshold = speakerThreshold; // audioLevel (0-1) that counts as speaking
+        this.speakerHoldMs = speakerHoldMs; // Keep a speaker featured this long so short pauses don't flip tiles
+        this.tiles = new Map(); // Map of peerId -> tile container
+        this.mode = 'grid'; // 'grid' | 'spotlight' | 'speaker'
+        this.pinnedGuest = null; // Featured in every layout until unpinned
+        this.activeSpeaker = null;
+        this.activeSpeakerSince = 0;
+        this.speakerInterval = null;
+
+        this.load();
+        if (this.mode === 'speaker') {
+            this.startSpeakerDetection();
+        }
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            if (LayoutManager.MODES.includes(saved.mode)) {
+                this.mode = saved.mode;
+            }
+        } catch (error) {
+            console.warn('Ignoring saved layout:', error);
+        }
+    }
+
+    save() {
+        // Only the mode is kept - guests get a new peer ID on every load, so a saved pin would point at nobody
+        localStorage.setItem(this.storageKey, JSON.stringify({ mode: this.mode }));
+    }
+
+    setMode(mode) {
+        if (!LayoutManager.MODES.includes(mode)) return;
+
+        this.mode = mode;
+        this.save();
+
+        if (mode === 'speaker') {
+            this.startSpeakerDetection();
+        } else {
+            this.stopSpeakerDetection();
+        }
+
+        this.apply();
+        console.log(`🔲 Layout: ${mode}`);
+    }
+
+    addTile(guestId, tile) {
+        this.tiles.set(guestId, tile);
+        tile.addEventListener('dblclick', (event) => {
+            // Double-clicking a control shouldn't pin
+            if (event.target.closest('button, select, input')) return;
+            this.togglePin(guestId);
+        });
+        this.apply();
+    }
+
+    removeTile(guestId) {
+        this.tiles.delete(guestId);
+        if (this.activeSpeaker === guestId) {
+            this.activeSpeaker = null;
+        }
+        this.apply();
+    }
+
+    togglePin(guestId) {
+        this.pinnedGuest = this.pinnedGuest === guestId ? null : guestId;
+        this.apply();
+    }
+
+    toggleFullscreen(guestId) {
+        const tile = this.tiles.get(guestId);
+        if (!tile) return;
+
+        if (document.fullscreenElement === tile) {
+            document.exitFullscreen();
+        } else if (tile.requestFullscreen) {
+            tile.requestFullscreen().catch(error => console.warn('Fullscreen refused:', error.message));
+        }
+    }
+
+    getFeaturedGuest() {
+        if (this.pinnedGuest && this.tiles.has(this.pinnedGuest)) return this.pinnedGuest;
+        if (this.mode === 'speaker' && this.activeSpeaker && this.tiles.has(this.activeSpeaker)) return this.activeSpeaker;
+        if (this.mode === 'grid') return null;
+
+        // Spotlight (or a quiet room) falls back to the first guest
+        return this.tiles.keys().next().value || null;
+    }
+
+    apply() {
+        const featured = this.getFeaturedGuest();
+        const columns = Math.max(1, Math.ceil(Math.sqrt(this.tiles.size)));
+
+        this.container.classList.remove(...LayoutManager.MODES.map(mode => `layout-${mode}`));
+        this.container.classList.add(`layout-${this.mode}`);
+        this.container.style.setProperty('--grid-columns', String(columns));
+
+        this.tiles.forEach((tile, guestId) => {
+            // In the grid the pinned guest simply moves to the front
+            tile.classList.toggle('featured', guestId === featured && this.mode !== 'grid');
+            tile.classList.toggle('pinned', guestId === this.pinnedGuest);
+            tile.style.order = guestId === featured || (this.mode === 'grid' && guestId === this.pinnedGuest) ? '-1' : '';
+        });
+    }
+
+    startSpeakerDetection() {
+        if (this.speakerInterval) return;
+        this.speakerInterval = setInterval(() => this.detectActiveSpeaker(), 500);
+    }
+
+    stopSpeakerDetection() {
+        clearInterval(this.speakerInterval);
+        this.speakerInterval = null;
+        this.activeSpeaker = null;
+    }
+
+    async detectActiveSpeaker() {
+        let loudest = null;
+        let loudestLevel = this.speakerThreshold;
+
+        for (const [guestId, peerConnection] of this.getPeerConnections()) {
+            if (!this.tiles.has(guestId)) continue;
+
+            try {
+                const stats = await peerConnection.getStats();
+                stats.forEach(stat => {
+                    if (stat.type === 'inbound-rtp' && stat.kind === 'audio' && (stat.audioLevel || 0) > loudestLevel) {
+                        loudest = guestId;
+                        loudestLevel = stat.audioLevel;
+                    }
+                });
+            } catch (error) {
+                // The connection may close between listing and reading its stats
+            }
+        }
+
+        if (!loudest || loudest === this.activeSpeaker) {
+            if (loudest) this.activeSpeakerSince = Date.now();
+            return;
+        }
+
+        if (this.activeSpeaker && Date.now() - this.activeSpeakerSince < this.speakerHoldMs) return;
+
+        this.activeSpeaker = loudest;
+        this.activeSpeakerSince = Date.now();
+        this.apply();
+    }
+}
+
+LayoutManager.MODES = ['grid', 'spotlight', 'speaker'];
+
+// Export for use in the host
+if (typeof window !== 'undefined') {
+    window.LayoutManager = LayoutManager;
+} else {
+    module.exports = LayoutManager;
+}
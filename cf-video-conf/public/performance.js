@@ -1,6 +1,6 @@
-// Performance monitoring utility
+// Performance monitoring utility - also ships call-quality samples to the worker's /telemetry route
 class PerformanceMonitor {
-    constructor() {
+    constructor({ getHeaders = null, sampleInterval = 10000, flushInterval = 30000, maxBatchSize = 50 } = {}) {
         this.metrics = {
             connectionTimes: [],
             messageLatency: [],
@@ -8,6 +8,17 @@ class PerformanceMonitor {
             bandwidthUsage: []
         };
         this.startTime = Date.now();
+
+        this.getHeaders = getHeaders; // () => auth headers, or null while there is no session
+        this.sampleInterval = sampleInterval; // Keep one sample per stream this often - enough to spot bad calls
+        this.flushInterval = flushInterval;
+        this.maxBatchSize = maxBatchSize; // The worker accepts at most 50 samples per request
+        this.deviceType = PerformanceMonitor.detectDeviceType();
+        this.pendingSamples = [];
+        this.lastSampleAt = new Map(); // Map of stream key -> time of the last kept sample
+        this.pendingAdjustments = new Map(); // Map of stream key -> adjustments since the last kept sample
+        this.flushTimer = null;
+        this.onPageHide = () => this.flush({ keepalive: true });
     }
 
     recordConnectionTime(duration) {
@@ -32,6 +43,74 @@ class PerformanceMonitor {
         });
     }
 
+    // sample: { smoothnessScore, codec, bitrateKbps, lossPercent, rttMs, fps, adjustments, setupMs, remotePeerId }
+    recordSample(sample) {
+        const key = sample.remotePeerId || 'local';
+        const adjustments = (this.pendingAdjustments.get(key) || 0) + (sample.adjustments || 0);
+        const now = Date.now();
+
+        // Setup times are rare and always kept; adjustments carry over to the next kept sample
+        if (sample.setupMs === undefined && now - (this.lastSampleAt.get(key) || 0) < this.sampleInterval) {
+            this.pendingAdjustments.set(key, adjustments);
+            return;
+        }
+
+        this.lastSampleAt.set(key, now);
+        this.pendingAdjustments.delete(key);
+        this.pendingSamples.push({ ...sample, adjustments, timestamp: now });
+        this.recordVideoStats(sample);
+
+        if (this.pendingSamples.length >= this.maxBatchSize) {
+            this.flush();
+        }
+    }
+
+    start() {
+        if (this.flushTimer) return;
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+        // Closing the tab would otherwise lose the last batch
+        window.addEventListener('pagehide', this.onPageHide);
+    }
+
+    stop() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        window.removeEventListener('pagehide', this.onPageHide);
+        this.flush({ keepalive: true });
+    }
+
+    async flush({ keepalive = false } = {}) {
+        const headers = this.getHeaders?.();
+        if (!headers || this.pendingSamples.length === 0) return;
+
+        const samples = this.pendingSamples.splice(0, this.maxBatchSize);
+        try {
+            const response = await fetch('/telemetry', {
+                method: 'POST',
+                headers: { ...headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ deviceType: this.deviceType, samples }),
+                keepalive
+            });
+
+            // Telemetry is best effort - only rate limits are worth another try
+            if (response.status === 429) {
+                this.pendingSamples.unshift(...samples);
+                this.pendingSamples.splice(this.maxBatchSize * 4);
+            }
+        } catch (error) {
+            console.warn('Telemetry upload failed:', error.message);
+        }
+    }
+
+    static detectDeviceType() {
+        const userAgent = navigator.userAgent;
+        // iPadOS reports itself as a Mac with touch
+        if (/iPad|iPhone|iPod/.test(userAgent) || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1)) return 'ios';
+        if (/Android/.test(userAgent)) return 'android';
+        if (/Windows|Macintosh|Linux|CrOS/.test(userAgent)) return 'desktop';
+        return 'other';
+    }
+
     getAverageConnectionTime() {
         if (this.metrics.connectionTimes.length === 0) return 0;
         const sum = this.metrics.connectionTimes.reduce((acc, curr) => acc + curr.duration, 0);
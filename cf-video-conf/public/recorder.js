@@ -0,0 +1,242 @@
+// Recorder - MediaRecorder wrappers for single guest tiles and a composite of all tiles
+class StreamRecorder {
+    constructor({ stream, name, onTick = () => {}, onChunk = () => {}, onStop = () => {}, timeslice = 1000 }) {
+        this.stream = stream;
+        this.name = name; // Used for the download file name
+        this.onTick = onTick; // Called every second with the elapsed milliseconds
+        this.onChunk = onChunk; // Called with each recorded chunk, e.g. to upload while recording
+        this.onStop = onStop; // Called with the finished Blob
+        this.timeslice = timeslice; // Chunk length, so a crash loses at most one chunk
+        this.mimeType = StreamRecorder.pickMimeType();
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.startedAt = null;
+        this.tickInterval = null;
+    }
+
+    // WebM where supported (Chrome, Firefox), MP4 otherwise (Safari)
+    static pickMimeType() {
+        const candidates = [
+            'video/webm;codecs=vp9,opus',
+            'video/webm;codecs=vp8,opus',
+            'video/webm',
+            'video/mp4;codecs=avc1,mp4a',
+            'video/mp4'
+        ];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined';
+    }
+
+    get isRecording() {
+        return this.mediaRecorder !== null && this.mediaRecorder.state !== 'inactive';
+    }
+
+    get elapsedMs() {
+        return this.startedAt ? Date.now() - this.startedAt : 0;
+    }
+
+    get contentType() {
+        return this.mediaRecorder?.mimeType || this.mimeType || 'video/webm';
+    }
+
+    get fileExtension() {
+        return this.contentType.startsWith('video/mp4') ? 'mp4' : 'webm';
+    }
+
+    start() {
+        if (this.isRecording) return;
+
+        this.chunks = [];
+        this.mediaRecorder = new MediaRecorder(this.stream, this.mimeType ? { mimeType: this.mimeType } : {});
+
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+                this.onChunk(event.data);
+            }
+        };
+
+        this.mediaRecorder.onstop = () => {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+
+            const blob = new Blob(this.chunks, { type: this.contentType });
+            console.log(`⏹️ Recording of ${this.name} finished: ${(blob.size / 1024 / 1024).toFixed(1)} MB`);
+            this.onStop(blob);
+        };
+
+        this.mediaRecorder.start(this.timeslice);
+        this.startedAt = Date.now();
+        this.tickInterval = setInterval(() => this.onTick(this.elapsedMs), 1000);
+        this.onTick(0);
+
+        console.log(`⏺️ Recording ${this.name} as ${this.mediaRecorder.mimeType || 'default format'}`);
+    }
+
+    stop() {
+        if (this.isRecording) {
+            this.mediaRecorder.stop();
+        }
+    }
+
+    download(blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.name}-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}.${this.fileExtension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser time to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    static formatElapsed(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${minutes}:${seconds}`;
+    }
+}
+
+// Draws every guest tile into one canvas and mixes their audio, so a session lands in a single file
+class CompositeRecorder {
+    constructor({ getTiles, width = 1280, height = 720, frameRate = 30, onTick = () => {}, onChunk = () => {}, onStop = () => {} }) {
+        this.getTiles = getTiles; // () => [{ video, label }]
+        this.width = width;
+        this.height = height;
+        this.frameRate = frameRate;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.context = this.canvas.getContext('2d');
+
+        this.audioContext = null;
+        this.audioDestination = null;
+        this.audioSources = new Map(); // MediaStream -> MediaStreamAudioSourceNode
+        this.drawInterval = null;
+
+        this.recorder = null;
+        this.onTick = onTick;
+        this.onChunk = onChunk;
+        this.onStop = onStop;
+    }
+
+    get isRecording() {
+        return this.recorder !== null && this.recorder.isRecording;
+    }
+
+    get contentType() {
+        return this.recorder?.contentType || StreamRecorder.pickMimeType() || 'video/webm';
+    }
+
+    start() {
+        if (this.isRecording) return;
+
+        this.audioContext = new AudioContext();
+        this.audioDestination = this.audioContext.createMediaStreamDestination();
+
+        // setInterval keeps drawing in a background tab, unlike requestAnimationFrame
+        this.draw();
+        this.drawInterval = setInterval(() => this.draw(), 1000 / this.frameRate);
+
+        const stream = new MediaStream([
+            ...this.canvas.captureStream(this.frameRate).getVideoTracks(),
+            ...this.audioDestination.stream.getAudioTracks()
+        ]);
+
+        this.recorder = new StreamRecorder({
+            stream,
+            name: 'session',
+            onTick: this.onTick,
+            onChunk: this.onChunk,
+            onStop: (blob) => {
+                this.cleanup();
+                this.onStop(blob);
+            }
+        });
+        this.recorder.start();
+    }
+
+    stop() {
+        if (this.recorder) {
+            this.recorder.stop();
+        }
+    }
+
+    download(blob) {
+        this.recorder.download(blob);
+    }
+
+    cleanup() {
+        clearInterval(this.drawInterval);
+        this.drawInterval = null;
+
+        this.audioSources.forEach(source => source.disconnect());
+        this.audioSources.clear();
+        this.audioContext?.close();
+        this.audioContext = null;
+    }
+
+    draw() {
+        const tiles = this.getTiles().filter(tile => tile.video.srcObject);
+        const ctx = this.context;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        if (tiles.length === 0) return;
+
+        // Square-ish grid: 1, 2x1, 2x2, 3x2, 3x3...
+        const columns = Math.ceil(Math.sqrt(tiles.length));
+        const rows = Math.ceil(tiles.length / columns);
+        const cellWidth = this.width / columns;
+        const cellHeight = this.height / rows;
+
+        tiles.forEach(({ video, label }, index) => {
+            const x = (index % columns) * cellWidth;
+            const y = Math.floor(index / columns) * cellHeight;
+
+            this.mixAudio(video.srcObject);
+
+            // Letterbox to keep the guest's aspect ratio
+            if (video.videoWidth && video.videoHeight) {
+                const scale = Math.min(cellWidth / video.videoWidth, cellHeight / video.videoHeight);
+                const drawWidth = video.videoWidth * scale;
+                const drawHeight = video.videoHeight * scale;
+                ctx.drawImage(video, x + (cellWidth - drawWidth) / 2, y + (cellHeight - drawHeight) / 2, drawWidth, drawHeight);
+            }
+
+            if (label) {
+                ctx.font = '16px system-ui, sans-serif';
+                const textWidth = ctx.measureText(label).width;
+                ctx.fillStyle = 'rgba(0,0,0,0.7)';
+                ctx.fillRect(x + 10, y + cellHeight - 36, textWidth + 16, 26);
+                ctx.fillStyle = '#fff';
+                ctx.fillText(label, x + 18, y + cellHeight - 17);
+            }
+        });
+    }
+
+    mixAudio(stream) {
+        if (this.audioSources.has(stream) || stream.getAudioTracks().length === 0) return;
+
+        // Guests that join mid-recording are mixed in as they appear
+        const source = this.audioContext.createMediaStreamSource(stream);
+        source.connect(this.audioDestination);
+        this.audioSources.set(stream, source);
+    }
+}
+
+// Export for use in the host
+if (typeof window !== 'undefined') {
+    window.StreamRecorder = StreamRecorder;
+    window.CompositeRecorder = CompositeRecorder;
+} else {
+    module.exports = { StreamRecorder, CompositeRecorder };
+}
@@ -0,0 +1,142 @@
+// Recording Uploader - streams MediaRecorder chunks to R2 through the worker's multipart upload API
+class RecordingUploader {
+    constructor({ getHeaders, sessionId, name, maxRetries = 5 }) {
+        this.getHeaders = getHeaders; // () => auth headers - read per request so a refreshed token is used
+        this.sessionId = sessionId; // Groups the recordings of one host page load
+        this.name = name;
+        this.maxRetries = maxRetries;
+        this.id = null; // Assigned by the worker
+        this.partSize = null; // Every part but the last must be exactly this size
+        this.buffer = []; // Chunks not yet sent as a part
+        this.bufferedBytes = 0;
+        this.nextPartNumber = 1;
+        this.uploadedBytes = 0;
+        this.queue = Promise.resolve(); // Parts upload one at a time, in order
+        this.error = null; // Set once a part gives up, the caller falls back to a local download
+    }
+
+    start(contentType) {
+        this.queue = this.create(contentType).catch(error => this.fail(error));
+        return this.queue;
+    }
+
+    async create(contentType) {
+        const response = await fetch('/recordings', {
+            method: 'POST',
+            headers: { ...this.getHeaders(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId: this.sessionId, name: this.name, contentType })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Could not start upload: HTTP ${response.status}`);
+        }
+
+        const { id, partSize } = await response.json();
+        this.id = id;
+        this.partSize = partSize;
+        console.log(`☁️ Uploading recording ${this.name} as ${id}`);
+
+        // Chunks recorded while the upload was being created
+        this.flush(false);
+    }
+
+    push(chunk) {
+        if (this.error) return;
+
+        this.buffer.push(chunk);
+        this.bufferedBytes += chunk.size;
+        if (this.partSize) {
+            this.flush(false);
+        }
+    }
+
+    flush(final) {
+        while (this.bufferedBytes >= this.partSize || (final && this.bufferedBytes > 0)) {
+            const buffered = new Blob(this.buffer);
+            const part = buffered.slice(0, this.partSize);
+            const rest = buffered.slice(this.partSize);
+
+            this.buffer = rest.size > 0 ? [rest] : [];
+            this.bufferedBytes = rest.size;
+
+            const partNumber = this.nextPartNumber++;
+            this.queue = this.queue.then(() => this.uploadPart(partNumber, part));
+        }
+    }
+
+    async uploadPart(partNumber, blob) {
+        if (this.error) return;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            let response = null;
+            try {
+                response = await fetch(`/recordings/${this.id}/parts/${partNumber}`, {
+                    method: 'PUT',
+                    headers: { ...this.getHeaders(), 'Content-Type': 'application/octet-stream' },
+                    body: blob
+                });
+            } catch (error) {
+                console.warn(`⚠️ Part ${partNumber} failed, retrying:`, error.message);
+            }
+
+            if (response?.ok) {
+                this.uploadedBytes += blob.size;
+                return;
+            }
+
+            // Only network errors, server errors and rate limits are worth retrying
+            if (response && response.status < 500 && response.status !== 429) {
+                this.fail(new Error(`Part ${partNumber} rejected: HTTP ${response.status}`));
+                return;
+            }
+            if (response) {
+                console.warn(`⚠️ Part ${partNumber} failed with HTTP ${response.status}, retrying`);
+            }
+
+            // Back off 1s, 2s, 4s... so a short network drop doesn't lose the recording
+            await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+        }
+
+        this.fail(new Error(`Part ${partNumber} failed after ${this.maxRetries} retries`));
+    }
+
+    fail(error) {
+        if (this.error) return;
+        this.error = error;
+        this.buffer = [];
+        this.bufferedBytes = 0;
+        console.error(`❌ Upload of ${this.name} failed:`, error.message);
+    }
+
+    // Sends the last part and assembles the object - resolves with the recording summary
+    async finish() {
+        await this.queue;
+        if (!this.error) {
+            this.flush(true);
+            await this.queue;
+        }
+        if (this.error) {
+            throw this.error;
+        }
+
+        const response = await fetch(`/recordings/${this.id}/complete`, {
+            method: 'POST',
+            headers: this.getHeaders()
+        });
+
+        if (!response.ok) {
+            throw new Error(`Could not complete upload: HTTP ${response.status}`);
+        }
+
+        const recording = await response.json();
+        console.log(`✅ Uploaded recording ${this.name} (${(this.uploadedBytes / 1024 / 1024).toFixed(1)} MB)`);
+        return recording;
+    }
+}
+
+// Export for use in the host
+if (typeof window !== 'undefined') {
+    window.RecordingUploader = RecordingUploader;
+} else {
+    module.exports = RecordingUploader;
+}
@@ -0,0 +1,26 @@
+// Recovery Schedule - how long the guest gives each reconnection step, shared so the host's grace period covers them
+class RecoverySchedule {
+    // Delay before the next step once the guest starts a rebuild (attempt 3 onwards)
+    static rebuildBackoff(attempt) {
+        return Math.min(30000, 5000 * Math.pow(2, attempt - 3));
+    }
+
+    // The host keeps a guest's tile until the guest's first rebuilt connection has had time to come up
+    static hostGracePeriod() {
+        return RecoverySchedule.DISCONNECTED_WAIT + RecoverySchedule.ICE_RESTART_WAIT +
+            RecoverySchedule.RENEGOTIATION_WAIT + RecoverySchedule.REBUILD_MARGIN;
+    }
+}
+
+RecoverySchedule.DISCONNECTED_WAIT = 3000; // 'disconnected' is often transient - let ICE recover on its own first
+RecoverySchedule.ICE_RESTART_WAIT = 5000; // After an ICE restart, before renegotiating
+RecoverySchedule.RENEGOTIATION_WAIT = 8000; // After renegotiating, before rebuilding the connection
+RecoverySchedule.REBUILD_MARGIN = 10000; // For the rebuilt offer to reach the host and connect
+RecoverySchedule.RETRY_WAIT = 5000; // After a step that threw
+
+// Export for use in both client and host
+if (typeof window !== 'undefined') {
+    window.RecoverySchedule = RecoverySchedule;
+} else {
+    module.exports = RecoverySchedule;
+}
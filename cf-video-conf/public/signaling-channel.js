@@ -0,0 +1,361 @@
+// Signaling Channel - receives signaling messages over WebSocket, falls back to SSE, then HTTP polling
+class SignalingChannel {
+    constructor({ baseAddress = '', roomId, peerId, getToken = () => null, onMessage, onAccessDenied = () => {}, minPollInterval = 1000, maxPollInterval = 5000, ackDelay = 500 }) {
+        this.baseAddress = baseAddress;
+        this.roomId = roomId;
+        this.peerId = peerId;
+        this.getToken = getToken; // Read on every request so a refreshed session token is picked up
+        this.onMessage = onMessage;
+        this.onAccessDenied = onAccessDenied; // The server no longer accepts this peer (e.g. kicked by the host)
+        this.minPollInterval = minPollInterval;
+        this.maxPollInterval = maxPollInterval;
+        this.ackDelay = ackDelay; // Acks are batched - one per burst of messages
+
+        this.cursor = 0; // Every message up to this id has been handled - only moved by reads from D1
+        this.ackedCursor = 0; // Id the server last heard we handled
+        this.ackTimeout = null;
+        this.syncTimeout = null;
+        this.deliveredIds = new Set(); // Pushed messages past the cursor - they can arrive over both transports
+        this.isRunning = false;
+        this.transport = null; // 'websocket', 'sse' or 'polling'
+        this.socket = null;
+        this.socketFailures = 0;
+        this.eventSource = null;
+        this.streamFailures = 0;
+        this.pingInterval = null;
+        this.pollTimeout = null;
+        this.reconnectTimeout = null;
+        this.deliveryQueue = Promise.resolve(); // Keeps message handling in arrival order
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        if (typeof WebSocket !== 'undefined' && this.socketFailures < 3) {
+            this.openWebSocket();
+        } else {
+            this.startFallbackTransport();
+        }
+    }
+
+    startFallbackTransport() {
+        // Server-Sent Events work behind proxies that block WebSocket upgrades
+        if (typeof EventSource !== 'undefined' && this.streamFailures < 3) {
+            this.openEventStream();
+        } else {
+            this.startPolling();
+        }
+    }
+
+    stop({ flushAck = true } = {}) {
+        // Tell the server what was handled so a reload doesn't get it again
+        if (flushAck) this.sendAck();
+        clearTimeout(this.ackTimeout);
+        clearTimeout(this.syncTimeout);
+        this.ackTimeout = null;
+        this.syncTimeout = null;
+
+        this.isRunning = false;
+        this.transport = null;
+
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+
+        clearInterval(this.pingInterval);
+        clearTimeout(this.pollTimeout);
+        clearTimeout(this.reconnectTimeout);
+        this.pingInterval = null;
+        this.pollTimeout = null;
+        this.reconnectTimeout = null;
+
+        console.log('Signaling channel stopped');
+    }
+
+    buildUrl(path) {
+        const url = new URL(path, this.baseAddress || window.location.href);
+        url.searchParams.set('roomId', this.roomId);
+        url.searchParams.set('peerId', this.peerId);
+        return url;
+    }
+
+    // WebSocket and EventSource cannot send headers, so they carry the token in the query string
+    withToken(url) {
+        const token = this.getToken();
+        if (token) url.searchParams.set('token', token);
+        return url;
+    }
+
+    openWebSocket() {
+        const url = this.withToken(this.buildUrl('/ws'));
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+
+        let opened = false;
+        const socket = new WebSocket(url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            opened = true;
+            this.socketFailures = 0;
+            this.transport = 'websocket';
+            console.log('Signaling over WebSocket');
+
+            // Keep the socket (and our last_seen) alive
+            this.pingInterval = setInterval(() => {
+                if (socket.readyState === WebSocket.OPEN) socket.send('ping');
+            }, 30000);
+
+            // Pick up anything stored before the socket was open
+            this.drainBacklog();
+        };
+
+        socket.onmessage = (event) => {
+            const message = JSON.parse(event.data);
+            if (message.type === 'pong') return;
+            this.receivePush(message);
+        };
+
+        socket.onclose = (event) => {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+            this.socket = null;
+            if (!this.isRunning) return;
+
+            if (event.code === 4003) {
+                this.denyAccess(403);
+                return;
+            }
+
+            if (!opened) {
+                this.socketFailures++;
+            }
+
+            if (this.socketFailures >= 3) {
+                console.warn('WebSocket unavailable - falling back');
+                this.startFallbackTransport();
+            } else {
+                // Reconnect shortly - polling covers anything missed in between
+                this.reconnectTimeout = setTimeout(() => this.isRunning && this.openWebSocket(), 1000 * (this.socketFailures + 1));
+            }
+        };
+    }
+
+    openEventStream() {
+        const url = this.withToken(this.buildUrl('/messages/stream'));
+        url.searchParams.set('after', this.cursor);
+
+        let opened = false;
+        const eventSource = new EventSource(url);
+        this.eventSource = eventSource;
+
+        eventSource.onopen = () => {
+            opened = true;
+            this.streamFailures = 0;
+            this.transport = 'sse';
+            console.log('Signaling over Server-Sent Events');
+        };
+
+        eventSource.onmessage = (event) => {
+            this.receivePush(JSON.parse(event.data));
+        };
+
+        eventSource.onerror = () => {
+            // Once open, EventSource reconnects by itself and resumes with Last-Event-ID
+            if (opened && eventSource.readyState !== EventSource.CLOSED) return;
+
+            this.streamFailures++;
+            if (this.streamFailures < 3 && eventSource.readyState !== EventSource.CLOSED) return;
+
+            eventSource.close();
+            this.eventSource = null;
+            if (!this.isRunning) return;
+
+            console.warn('Event stream unavailable - falling back to polling');
+            this.streamFailures = 3;
+            this.startPolling();
+        };
+    }
+
+    startPolling() {
+        this.transport = 'polling';
+        console.log('Signaling over HTTP polling');
+
+        let pollInterval = this.minPollInterval;
+        let consecutiveEmptyPolls = 0;
+
+        const poll = async () => {
+            if (!this.isRunning) return;
+
+            const { count, more } = await this.fetchMessages();
+
+            if (more) {
+                // A backlog is waiting - fetch the next page right away
+                pollInterval = this.minPollInterval;
+                if (this.isRunning) this.pollTimeout = setTimeout(poll, 0);
+                return;
+            }
+
+            if (count > 0) {
+                consecutiveEmptyPolls = 0;
+                pollInterval = this.minPollInterval; // Reset to fast polling when active
+            } else {
+                consecutiveEmptyPolls++;
+                // Gradually increase polling interval when inactive
+                if (consecutiveEmptyPolls > 3 && pollInterval < this.maxPollInterval) {
+                    pollInterval = Math.min(pollInterval * 1.5, this.maxPollInterval);
+                }
+            }
+
+            if (this.isRunning) {
+                this.pollTimeout = setTimeout(poll, pollInterval);
+            }
+        };
+
+        this.pollTimeout = setTimeout(poll, pollInterval);
+    }
+
+    async drainBacklog() {
+        let page;
+        do {
+            page = await this.fetchMessages();
+        } while (page.more && this.isRunning);
+    }
+
+    async fetchMessages() {
+        try {
+            const url = this.buildUrl('/messages');
+            url.searchParams.set('after', this.cursor);
+
+            const token = this.getToken();
+            const response = await fetch(url, {
+                headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+            });
+            if (response.status === 401 || response.status === 403) {
+                this.denyAccess(response.status);
+                return { count: 0, more: false };
+            }
+            if (!response.ok) {
+                const { code, message } = await SignalingChannel.readError(response);
+                throw new Error(`${message} (${code})`);
+            }
+            const data = await response.json();
+
+            // Handle both old and new response formats
+            const messages = data.messages || data.m || [];
+            await this.deliver(messages);
+
+            // Pages have no gaps, so the cursor also covers messages skipped as already pushed
+            if (typeof data.cursor === 'number' && data.cursor > this.cursor) {
+                this.cursor = data.cursor;
+                this.deliveredIds.forEach(id => id <= this.cursor && this.deliveredIds.delete(id));
+                this.scheduleAck();
+            }
+
+            return { count: messages.length, more: data.more === true };
+        } catch (error) {
+            console.error('Polling error:', error);
+            return { count: 0, more: false };
+        }
+    }
+
+    // Pushes can arrive out of order, or not at all when a publish fails. They are handled
+    // right away, but only a read from D1 moves the cursor, so an ack never skips a missing id
+    receivePush(message) {
+        this.deliver([message]);
+        this.scheduleSync();
+    }
+
+    scheduleSync() {
+        if (this.syncTimeout) return;
+        this.syncTimeout = setTimeout(() => {
+            this.syncTimeout = null;
+            if (this.isRunning) this.sync();
+        }, this.ackDelay);
+    }
+
+    async sync() {
+        await this.drainBacklog();
+        return this.sendAck();
+    }
+
+    scheduleAck() {
+        if (this.ackTimeout) return;
+        this.ackTimeout = setTimeout(() => {
+            this.ackTimeout = null;
+            this.sendAck();
+        }, this.ackDelay);
+    }
+
+    // Acks are cumulative - the server drops everything up to the cursor for this peer
+    sendAck() {
+        if (this.cursor <= this.ackedCursor) return Promise.resolve();
+        const id = this.cursor;
+        this.ackedCursor = id;
+
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify({ type: 'ack', id }));
+            return Promise.resolve();
+        }
+
+        const token = this.getToken();
+        return fetch(new URL('/messages/ack', this.baseAddress || window.location.href), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(token ? { 'Authorization': `Bearer ${token}` } : {}) },
+            body: JSON.stringify({ roomId: this.roomId, peerId: this.peerId, id }),
+            keepalive: true // Lets the final ack out while the page unloads
+        }).then(response => {
+            if (!response.ok) this.ackedCursor = Math.min(this.ackedCursor, id - 1);
+        }).catch(error => {
+            console.warn('Ack failed, will retry:', error.message);
+            this.ackedCursor = Math.min(this.ackedCursor, id - 1);
+        });
+    }
+
+    // Worker errors are { error, code } - anything else (a proxy page, say) falls back to the status
+    static async readError(response) {
+        const body = await response.json().catch(() => ({}));
+        return {
+            status: response.status,
+            code: body.code || `http_${response.status}`,
+            message: body.error || `HTTP ${response.status}`
+        };
+    }
+
+    denyAccess(status) {
+        console.warn(`Signaling access denied (HTTP ${status})`);
+        this.stop({ flushAck: false });
+        this.onAccessDenied(status);
+    }
+
+    deliver(messages) {
+        this.deliveryQueue = this.deliveryQueue.then(async () => {
+            for (const message of messages) {
+                // Skip messages already seen over the other transport
+                if (message.id <= this.cursor || this.deliveredIds.has(message.id)) continue;
+
+                this.deliveredIds.add(message.id);
+                try {
+                    await this.onMessage(message);
+                } catch (error) {
+                    console.error('Message handler error:', error);
+                }
+            }
+        });
+        return this.deliveryQueue;
+    }
+}
+
+// Export for use in both client and host
+if (typeof window !== 'undefined') {
+    window.SignalingChannel = SignalingChannel;
+} else {
+    module.exports = SignalingChannel;
+}
@@ -1,7 +1,9 @@
 // Real-time Smoothness Monitor
 class SmoothnessMonitor {
-    constructor(peerConnection) {
+    constructor(peerConnection, { onSample = () => {} } = {}) {
         this.peerConnection = peerConnection;
+        this.onSample = onSample; // Called after every check with a telemetry sample, see PerformanceMonitor
+        this.reportedAdjustments = 0;
         this.metrics = {
             frameDrops: 0,
             framesPerSecond: 0,
@@ -52,6 +54,8 @@ class SmoothnessMonitor {
             
             // Update UI with smoothness info
             this.updateSmoothnessUI(videoStats, smoothnessScore);
+
+            this.reportSample(videoStats, smoothnessScore);
             
             this.lastStats = videoStats;
             
@@ -61,27 +65,55 @@ class SmoothnessMonitor {
     }
 
     extractVideoStats(stats) {
-        let videoStats = null;
-        
+        // Simulcast reports one outbound-rtp per layer (rid)
+        const layers = [];
         for (const [id, stat] of stats) {
-            if (stat.type === 'outbound-rtp' && stat.kind === 'video') {
-                videoStats = {
-                    framesSent: stat.framesSent || 0,
-                    framesEncoded: stat.framesEncoded || 0,
-                    bytesSent: stat.bytesSent || 0,
-                    timestamp: stat.timestamp,
-                    packetsSent: stat.packetsSent || 0,
-                    packetsLost: stat.packetsLost || 0,
-                    jitter: stat.jitter || 0,
-                    roundTripTime: stat.roundTripTime || 0,
-                    qualityLimitationReason: stat.qualityLimitationReason,
-                    encoderImplementation: stat.encoderImplementation
-                };
-                break;
+            // Paused layers keep reporting their last frame size
+            if (stat.type === 'outbound-rtp' && stat.kind === 'video' && stat.active !== false) {
+                layers.push(stat);
             }
         }
-        
-        return videoStats;
+
+        if (layers.length === 0) return null;
+
+        // Frame rate and limitations come from the largest layer being sent, traffic is summed
+        const top = layers.reduce((best, layer) => (layer.frameHeight || 0) > (best.frameHeight || 0) ? layer : best);
+        const sum = (key) => layers.reduce((total, layer) => total + (layer[key] || 0), 0);
+        const codec = top.codecId ? stats.get(top.codecId) : null;
+
+        return {
+            framesSent: top.framesSent || 0,
+            framesEncoded: top.framesEncoded || 0,
+            bytesSent: sum('bytesSent'),
+            timestamp: top.timestamp,
+            packetsSent: sum('packetsSent'),
+            packetsLost: sum('packetsLost'),
+            jitter: top.jitter || 0,
+            roundTripTime: top.roundTripTime || 0,
+            qualityLimitationReason: top.qualityLimitationReason,
+            encoderImplementation: top.encoderImplementation,
+            codec: codec ? codec.mimeType.replace('video/', '') : null,
+            layerCount: layers.length,
+            frameHeight: top.frameHeight || 0
+        };
+    }
+
+    reportSample(videoStats, smoothnessScore) {
+        if (!this.lastStats) return; // Rates need two readings
+
+        const seconds = (videoStats.timestamp - this.lastStats.timestamp) / 1000;
+        const bitrateKbps = seconds > 0 ? ((videoStats.bytesSent - this.lastStats.bytesSent) * 8) / seconds / 1000 : 0;
+
+        this.onSample({
+            smoothnessScore,
+            codec: videoStats.codec,
+            bitrateKbps: Math.round(bitrateKbps),
+            lossPercent: this.metrics.packetLoss,
+            rttMs: this.metrics.roundTripTime || null,
+            fps: this.metrics.framesPerSecond,
+            adjustments: this.adjustmentHistory.length - this.reportedAdjustments
+        });
+        this.reportedAdjustments = this.adjustmentHistory.length;
     }
 
     calculateSmoothnessScore(videoStats) {
@@ -145,28 +177,35 @@ class SmoothnessMonitor {
             const params = videoSender.getParameters();
             if (!params.encodings || params.encodings.length === 0) return;
             
-            const encoding = params.encodings[0];
+            // With simulcast, the largest active layer drives the decision and every layer scales with it
+            const activeEncodings = params.encodings.filter(e => e.active !== false);
+            if (activeEncodings.length === 0) return;
+            const encoding = activeEncodings[0];
+            const scaleBitrates = (factor) => activeEncodings.forEach(e => {
+                if (e.maxBitrate) e.maxBitrate = Math.round(e.maxBitrate * factor);
+            });
             let adjustmentMade = false;
             
             // Determine adjustment strategy based on quality limitation
             if (videoStats.qualityLimitationReason === 'cpu') {
                 // CPU limited - reduce frame rate or resolution
                 if (encoding.maxFramerate > 20) {
-                    encoding.maxFramerate = Math.max(20, encoding.maxFramerate - 4);
-                    console.log(`🔧 Reduced frame rate to ${encoding.maxFramerate}fps (CPU relief)`);
+                    const maxFramerate = Math.max(20, encoding.maxFramerate - 4);
+                    activeEncodings.forEach(e => { e.maxFramerate = maxFramerate; });
+                    console.log(`🔧 Reduced frame rate to ${maxFramerate}fps (CPU relief)`);
                     adjustmentMade = true;
                 }
             } else if (videoStats.qualityLimitationReason === 'bandwidth' || this.metrics.packetLoss > 2) {
                 // Bandwidth limited - reduce bitrate
                 if (encoding.maxBitrate > 200000) {
-                    encoding.maxBitrate = Math.max(200000, encoding.maxBitrate * 0.8);
+                    scaleBitrates(Math.max(200000, encoding.maxBitrate * 0.8) / encoding.maxBitrate);
                     console.log(`🔧 Reduced bitrate to ${Math.round(encoding.maxBitrate/1000)}kbps (bandwidth relief)`);
                     adjustmentMade = true;
                 }
             } else if (this.metrics.framesPerSecond < 20) {
                 // General smoothness issues - reduce overall quality
                 if (encoding.maxBitrate > 300000) {
-                    encoding.maxBitrate = Math.max(300000, encoding.maxBitrate * 0.9);
+                    scaleBitrates(Math.max(300000, encoding.maxBitrate * 0.9) / encoding.maxBitrate);
                     console.log(`🔧 Reduced bitrate to ${Math.round(encoding.maxBitrate/1000)}kbps (smoothness improvement)`);
                     adjustmentMade = true;
                 }
@@ -209,6 +248,7 @@ class SmoothnessMonitor {
         const additionalInfo = `
             <br><strong style="color: ${scoreColor};">Smoothness: ${scoreEmoji} ${smoothnessScore}/100</strong>
             <br><strong>FPS:</strong> ${this.metrics.framesPerSecond}
+            ${videoStats.layerCount > 1 ? `<br><strong>Simulcast:</strong> ${videoStats.layerCount} layers, top ${videoStats.frameHeight}p` : ''}
             <br><strong>Packet Loss:</strong> ${this.metrics.packetLoss}%
             <br><strong>Jitter:</strong> ${this.metrics.jitter}ms
             ${this.metrics.roundTripTime > 0 ? `<br><strong>RTT:</strong> ${this.metrics.roundTripTime}ms` : ''}
@@ -0,0 +1,100 @@
+// Stats Overlay - receiver-side quality numbers and sparklines drawn over a host tile
+class StatsOverlay {
+    constructor({ container, historyLength = 30 }) {
+        this.container = container; // The guest's .video-container
+        this.historyLength = historyLength; // Samples shown in the sparklines
+        this.history = [];
+        this.element = null;
+        this.text = null;
+        this.bitrateCanvas = null;
+        this.fpsCanvas = null;
+
+        this.render();
+    }
+
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'stats-overlay';
+
+        this.text = document.createElement('div');
+        this.text.textContent = 'Waiting for stats...';
+
+        this.bitrateCanvas = this.createSparkline('Video bitrate');
+        this.fpsCanvas = this.createSparkline('Frames per second');
+
+        this.element.appendChild(this.text);
+        this.element.appendChild(this.bitrateCanvas);
+        this.element.appendChild(this.fpsCanvas);
+        this.container.appendChild(this.element);
+    }
+
+    createSparkline(title) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 120;
+        canvas.height = 24;
+        canvas.title = title;
+        canvas.style.display = 'block';
+        canvas.style.marginTop = '4px';
+        return canvas;
+    }
+
+    update(sample) {
+        this.history.push(sample);
+        if (this.history.length > this.historyLength) {
+            this.history.shift();
+        }
+
+        this.text.replaceChildren(...StatsOverlay.formatSample(sample).map(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            return row;
+        }));
+
+        this.drawSparkline(this.bitrateCanvas, this.history.map(s => s.bitrateKbps), '#4dabf7');
+        this.drawSparkline(this.fpsCanvas, this.history.map(s => s.fps), '#69db7c');
+    }
+
+    drawSparkline(canvas, values, color) {
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (values.length < 2) return;
+
+        const max = Math.max(...values, 1);
+        const step = canvas.width / (this.historyLength - 1);
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        values.forEach((value, index) => {
+            const x = index * step;
+            const y = canvas.height - 2 - (value / max) * (canvas.height - 4);
+            index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = '#ccc';
+        ctx.font = '9px system-ui, sans-serif';
+        ctx.fillText(String(max), 2, 9);
+    }
+
+    remove() {
+        this.element?.remove();
+    }
+
+    static formatSample(sample) {
+        return [
+            `${sample.codec} ${sample.width}x${sample.height} @ ${sample.fps}fps`,
+            `Video ${sample.bitrateKbps}kbps · Audio ${sample.audioBitrateKbps}kbps`,
+            `Jitter buffer ${sample.jitterBufferMs}ms · Loss ${sample.lossPercent}% (${sample.packetsLost} total)`,
+            `Freezes ${sample.freezeCount} (${sample.freezeSeconds}s) · Dropped ${sample.framesDropped}`,
+            `NACK ${sample.nackCount} · PLI ${sample.pliCount} · FIR ${sample.firCount}`
+        ];
+    }
+}
+
+// Export for use in the host
+if (typeof window !== 'undefined') {
+    window.StatsOverlay = StatsOverlay;
+} else {
+    module.exports = StatsOverlay;
+}
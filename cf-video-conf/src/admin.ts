@@ -0,0 +1,143 @@
+/**
+ * Admin routes behind the ADMIN_SECRET - live rooms, their peers and call quality
+ * Admins can end a room or evict a single peer
+ */
+
+import { HttpError, jsonError } from './http';
+import { endRoom, isRoomEnded, removePeer } from './rooms';
+import { getTelemetrySummary } from './telemetry';
+import type { Env } from './types';
+
+const RECENT_TELEMETRY_MS = 15 * 60 * 1000;
+const ACTIVE_PEER_MS = 5 * 60 * 1000; // Same window as the room's active peer count
+
+const encoder = new TextEncoder();
+
+function json(body: unknown, corsHeaders: Record<string, string>, status = 200): Response {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+	});
+}
+
+// Hashing first gives equal-length inputs, so the comparison doesn't leak the secret's length either
+async function isAdmin(request: Request, secret: string): Promise<boolean> {
+	const authorization = request.headers.get('Authorization');
+	if (!authorization?.startsWith('Bearer ')) return false;
+
+	const [given, expected] = await Promise.all([
+		crypto.subtle.digest('SHA-256', encoder.encode(authorization.slice('Bearer '.length))),
+		crypto.subtle.digest('SHA-256', encoder.encode(secret)),
+	]);
+	return crypto.subtle.timingSafeEqual(given, expected);
+}
+
+// A malformed escape like %E0 is the caller's mistake, not a server error
+function decodePathSegment(segment: string): string {
+	try {
+		return decodeURIComponent(segment);
+	} catch {
+		throw new HttpError(400, 'invalid_path', 'Malformed escape in the request path');
+	}
+}
+
+async function listRooms(corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	const now = Date.now();
+	const result = await env.DB.prepare(`
+		SELECT p.room_id AS roomId,
+			MAX(CASE WHEN p.is_host = 1 THEN p.peer_id END) AS hostPeerId,
+			COUNT(*) AS peers,
+			SUM(CASE WHEN p.last_seen > ? THEN 1 ELSE 0 END) AS activePeers,
+			MIN(p.joined_at) AS firstJoinedAt,
+			MAX(p.last_seen) AS lastSeen,
+			(SELECT COUNT(*) FROM messages m WHERE m.room_id = p.room_id) AS pendingMessages,
+			(SELECT COUNT(*) FROM telemetry t WHERE t.room_id = p.room_id AND t.created_at > ?) AS recentSamples,
+			(SELECT ROUND(AVG(t.smoothness_score), 1) FROM telemetry t WHERE t.room_id = p.room_id AND t.created_at > ?) AS recentSmoothness,
+			(SELECT ROUND(AVG(t.loss_percent), 2) FROM telemetry t WHERE t.room_id = p.room_id AND t.created_at > ?) AS recentLossPercent
+		FROM peers p
+		GROUP BY p.room_id
+		ORDER BY lastSeen DESC
+		LIMIT 200
+	`).bind(now - ACTIVE_PEER_MS, now - RECENT_TELEMETRY_MS, now - RECENT_TELEMETRY_MS, now - RECENT_TELEMETRY_MS).all();
+
+	return json({ rooms: result.results || [] }, corsHeaders);
+}
+
+async function getRoom(roomId: string, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	// Pending messages are the ones stored for a peer past its ack cursor
+	const result = await env.DB.prepare(`
+		SELECT p.peer_id AS peerId, p.is_host AS isHost, p.display_name AS displayName, p.role, p.color,
+			p.joined_at AS joinedAt, p.last_seen AS lastSeen,
+			(SELECT COUNT(*) FROM messages m
+				WHERE m.room_id = p.room_id AND m.peer_id != p.peer_id
+					AND (m.target_peer IS NULL OR m.target_peer = p.peer_id) AND m.id > p.acked_message_id) AS pendingMessages
+		FROM peers p
+		WHERE p.room_id = ?
+		ORDER BY p.is_host DESC, p.joined_at ASC
+	`).bind(roomId).all<{ isHost: number } & Record<string, unknown>>();
+
+	const peers = (result.results || []).map((peer) => ({ ...peer, isHost: peer.isHost === 1 }));
+	const ended = await isRoomEnded(roomId, env);
+	if (peers.length === 0 && !ended) {
+		return jsonError(404, 'room_not_found', 'No peers in this room', corsHeaders);
+	}
+
+	return json({ roomId, ended, peers, telemetry: await getTelemetrySummary(roomId, env) }, corsHeaders);
+}
+
+async function evictPeer(roomId: string, peerId: string, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	const peer = await env.DB.prepare(`
+		SELECT 1 FROM peers WHERE room_id = ? AND peer_id = ?
+	`).bind(roomId, peerId).first();
+	if (!peer) {
+		return jsonError(404, 'peer_not_found', 'Peer not found in this room', corsHeaders);
+	}
+
+	await removePeer(roomId, peerId, env);
+	console.log(`Admin evicted ${peerId} from room ${roomId}`);
+
+	return json({ success: true }, corsHeaders);
+}
+
+export async function handleAdmin(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	if (!env.ADMIN_SECRET) {
+		return jsonError(503, 'admin_not_configured', 'The admin dashboard is disabled - set ADMIN_SECRET', corsHeaders);
+	}
+	if (!(await isAdmin(request, env.ADMIN_SECRET))) {
+		return jsonError(401, 'unauthorized', 'Invalid or missing admin secret', corsHeaders);
+	}
+
+	try {
+		const [, , resource, roomId, action, peerId, peerAction] = new URL(request.url).pathname.split('/').map(decodePathSegment);
+
+		if (resource === 'telemetry' && !roomId && request.method === 'GET') {
+			return json(await getTelemetrySummary(null, env), corsHeaders);
+		}
+		if (resource !== 'rooms') {
+			return jsonError(404, 'not_found', 'Not found', corsHeaders);
+		}
+
+		if (!roomId && request.method === 'GET') {
+			return await listRooms(corsHeaders, env);
+		}
+		if (roomId && !action && request.method === 'GET') {
+			return await getRoom(roomId, corsHeaders, env);
+		}
+		if (roomId && action === 'end' && !peerId && request.method === 'POST') {
+			await endRoom(roomId, env);
+			console.log(`Admin ended room ${roomId}`);
+			return json({ success: true }, corsHeaders);
+		}
+		if (roomId && action === 'peers' && peerId && peerAction === 'evict' && request.method === 'POST') {
+			return await evictPeer(roomId, peerId, corsHeaders, env);
+		}
+
+		return jsonError(404, 'not_found', 'Not found', corsHeaders);
+	} catch (error) {
+		if (error instanceof HttpError) {
+			return jsonError(error.status, error.code, error.message, corsHeaders);
+		}
+		console.error('Admin error:', error);
+		return jsonError(500, 'internal_error', 'Internal server error', corsHeaders);
+	}
+}
@@ -0,0 +1,73 @@
+/**
+ * Bulk expiry of D1 rows, run by the Cron Trigger in wrangler.jsonc
+ * Signaling requests only insert - everything old is deleted here in one batch
+ */
+
+import { expiredRateLimits } from './rate-limit';
+import { expiredTelemetry } from './telemetry';
+import { TOKEN_TTL } from './tokens';
+import type { Env } from './types';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Used when the matching var is unset or not a positive number
+export const DEFAULT_RETENTION = {
+	messagesMs: 60 * MINUTE,
+	peersMs: 60 * MINUTE, // Since last_seen
+	telemetryMs: 30 * DAY,
+};
+
+// Rate limit windows are at most 10 minutes long
+const RATE_LIMIT_RETENTION_MS = 60 * MINUTE;
+
+export interface CleanupResult {
+	messages: number;
+	peers: number;
+	rateLimits: number;
+	telemetry: number;
+	kickedPeers: number;
+}
+
+function retention(value: string | undefined, name: string, unitMs: number, fallbackMs: number): number {
+	if (value === undefined || value === '') return fallbackMs;
+
+	const parsed = Number(value);
+	if (!Number.isFinite(parsed) || parsed <= 0) {
+		console.warn(`Ignoring ${name}=${value} - expected a positive number`);
+		return fallbackMs;
+	}
+	return parsed * unitMs;
+}
+
+export function getRetention(env: Env): typeof DEFAULT_RETENTION {
+	return {
+		messagesMs: retention(env.MESSAGE_RETENTION_MINUTES, 'MESSAGE_RETENTION_MINUTES', MINUTE, DEFAULT_RETENTION.messagesMs),
+		peersMs: retention(env.PEER_RETENTION_MINUTES, 'PEER_RETENTION_MINUTES', MINUTE, DEFAULT_RETENTION.peersMs),
+		telemetryMs: retention(env.TELEMETRY_RETENTION_DAYS, 'TELEMETRY_RETENTION_DAYS', DAY, DEFAULT_RETENTION.telemetryMs),
+	};
+}
+
+export async function runCleanup(env: Env, now = Date.now()): Promise<CleanupResult> {
+	const { messagesMs, peersMs, telemetryMs } = getRetention(env);
+
+	const [messages, peers, rateLimits, telemetry, kickedPeers] = await env.DB.batch([
+		env.DB.prepare(`DELETE FROM messages WHERE timestamp < ?`).bind(now - messagesMs),
+		env.DB.prepare(`DELETE FROM peers WHERE last_seen < ?`).bind(now - peersMs),
+		expiredRateLimits(env, now - RATE_LIMIT_RETENTION_MS),
+		expiredTelemetry(env, now - telemetryMs),
+		// Kicks only need to outlive the invites that could bring the peer back
+		env.DB.prepare(`DELETE FROM kicked_peers WHERE kicked_at < ?`).bind(now - TOKEN_TTL.invite),
+	]);
+
+	const result: CleanupResult = {
+		messages: messages.meta.changes,
+		peers: peers.meta.changes,
+		rateLimits: rateLimits.meta.changes,
+		telemetry: telemetry.meta.changes,
+		kickedPeers: kickedPeers.meta.changes,
+	};
+	console.log('Cleanup removed', result);
+
+	return result;
+}
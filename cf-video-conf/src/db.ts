@@ -0,0 +1,80 @@
+/**
+ * D1 queries shared by the worker and the room Durable Object
+ */
+
+import type { Env, PeerProfile, RoomMessage } from './types';
+
+type ProfileRow = { display_name: string | null; role: string | null; color: string | null };
+
+function toProfile(row: ProfileRow): PeerProfile {
+	return { displayName: row.display_name, role: row.role, color: row.color };
+}
+
+export async function updatePeerLastSeen(roomId: string, peerId: string, env: Env): Promise<void> {
+	await env.DB.prepare(`
+		UPDATE peers SET last_seen = ? WHERE room_id = ? AND peer_id = ?
+	`).bind(Date.now(), roomId, peerId).run();
+}
+
+export async function getPeerProfile(roomId: string, peerId: string, env: Env): Promise<PeerProfile | null> {
+	const row = await env.DB.prepare(`
+		SELECT display_name, role, color FROM peers WHERE room_id = ? AND peer_id = ?
+	`).bind(roomId, peerId).first<ProfileRow>();
+
+	return row ? toProfile(row) : null;
+}
+
+export const MESSAGE_PAGE_SIZE = 50;
+
+export interface MessagePage {
+	messages: RoomMessage[];
+	cursor: number; // Id of the last message in the page - pass it back as `after`
+	more: boolean; // Another page is waiting
+}
+
+// Messages addressed to this peer (or broadcast) after a message id, oldest first
+// Ids only grow, so unlike timestamps two messages never share a cursor position
+export async function getPendingMessages(roomId: string, peerId: string, after: number, env: Env, limit = MESSAGE_PAGE_SIZE): Promise<MessagePage> {
+	// Acknowledged messages are never delivered again, even to a reloaded page starting from 0
+	const result = await env.DB.prepare(`
+		SELECT m.id, m.type, m.data, m.peer_id as fromPeerId, m.target_peer as targetPeer, m.timestamp,
+			p.peer_id IS NOT NULL as has_profile, p.display_name, p.role, p.color
+		FROM messages m
+		LEFT JOIN peers p ON p.room_id = m.room_id AND p.peer_id = m.peer_id
+		WHERE m.room_id = ? AND m.peer_id != ? AND (m.target_peer IS NULL OR m.target_peer = ?)
+			AND m.id > MAX(?, COALESCE((SELECT acked_message_id FROM peers WHERE room_id = ? AND peer_id = ?), 0))
+		ORDER BY m.id ASC
+		LIMIT ?
+	`).bind(roomId, peerId, peerId, after, roomId, peerId, limit + 1).all<Omit<RoomMessage, 'fromProfile'> & ProfileRow & { has_profile: number }>();
+
+	const rows = result.results || [];
+	const messages = rows.slice(0, limit).map(({ has_profile, display_name, role, color, ...message }) => ({
+		...message,
+		fromProfile: has_profile ? toProfile({ display_name, role, color }) : null
+	}));
+
+	return {
+		messages,
+		cursor: messages.length > 0 ? messages[messages.length - 1].id : after,
+		more: rows.length > limit
+	};
+}
+
+// Marks everything up to a message id as delivered to this peer
+export async function ackMessages(roomId: string, peerId: string, upTo: number, env: Env): Promise<void> {
+	await env.DB.batch([
+		env.DB.prepare(`
+			UPDATE peers SET acked_message_id = MAX(acked_message_id, ?), last_seen = ? WHERE room_id = ? AND peer_id = ?
+		`).bind(upTo, Date.now(), roomId, peerId),
+		// Addressed messages had a single recipient
+		env.DB.prepare(`
+			DELETE FROM messages WHERE room_id = ? AND target_peer = ? AND id <= ?
+		`).bind(roomId, peerId, upTo),
+		// Broadcasts go once every other peer in the room has acknowledged them
+		env.DB.prepare(`
+			DELETE FROM messages WHERE room_id = ? AND target_peer IS NULL AND id <= (
+				SELECT MIN(p.acked_message_id) FROM peers p WHERE p.room_id = messages.room_id AND p.peer_id != messages.peer_id
+			)
+		`).bind(roomId),
+	]);
+}
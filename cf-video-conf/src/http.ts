@@ -0,0 +1,51 @@
+/**
+ * Request auth and response helpers shared by the worker routes
+ */
+
+import { getRequestToken, verifyToken, type TokenClaims } from './tokens';
+import type { Env } from './types';
+
+export async function getTokenClaims(request: Request, env: Env): Promise<TokenClaims | null> {
+	if (!env.ROOM_TOKEN_SECRET) {
+		console.error('ROOM_TOKEN_SECRET is not configured');
+		return null;
+	}
+
+	const token = getRequestToken(request);
+	return token ? verifyToken(token, env.ROOM_TOKEN_SECRET) : null;
+}
+
+// Host and guest session tokens are bound to one peer in one room
+export function isSessionFor(claims: TokenClaims | null, roomId: string, peerId: string): claims is TokenClaims {
+	return !!claims && claims.role !== 'invite' && claims.roomId === roomId && claims.peerId === peerId;
+}
+
+export function unauthorized(corsHeaders: Record<string, string>): Response {
+	return jsonError(401, 'unauthorized', 'Invalid or missing room token', corsHeaders);
+}
+
+// Thrown by request parsers - the route turns it into a jsonError response
+export class HttpError extends Error {
+	readonly status: number;
+	readonly code: string;
+
+	constructor(status: number, code: string, message: string) {
+		super(message);
+		this.status = status;
+		this.code = code;
+	}
+}
+
+// Structured error body: { error, code } - never cached, errors depend on who is asking
+export function jsonError(
+	status: number,
+	code: string,
+	message: string,
+	corsHeaders: Record<string, string>,
+	headers: Record<string, string> = {}
+): Response {
+	return new Response(JSON.stringify({ error: message, code }), {
+		status,
+		headers: { ...corsHeaders, 'Cache-Control': 'no-store', ...headers, 'Content-Type': 'application/json' }
+	});
+}
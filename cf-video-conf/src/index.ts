@@ -3,209 +3,509 @@
  * Just handles peer-to-peer connections with persistent storage
  */
 
-interface SignalingMessage {
-	type: 'join' | 'offer' | 'answer' | 'candidate';
-	peerId: string;
-	data?: any;
+import { handleAdmin } from './admin';
+import { runCleanup } from './cleanup';
+import { ackMessages, getPeerProfile, getPendingMessages, updatePeerLastSeen } from './db';
+import { getTokenClaims, HttpError, isSessionFor, jsonError, unauthorized } from './http';
+import { hitRateLimit, type RateLimit } from './rate-limit';
+import { handleRecordings } from './recordings';
+import { isInviteRevoked, isKicked, isRoomEnded, removePeer } from './rooms';
+import { handleTelemetry } from './telemetry';
+import { signToken, type TokenClaims } from './tokens';
+import type { Env, PeerProfile, RelayedMessageType, RoomMessage, SignalingData } from './types';
+import { isValidId, readSignalingMessage } from './validation';
+
+export { SignalingRoom } from './signaling-room';
+
+async function handleCreateRoom(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	if (request.method !== 'POST') {
+		return jsonError(405, 'method_not_allowed', 'Method not allowed', corsHeaders);
+	}
+
+	if (!env.ROOM_TOKEN_SECRET) {
+		return jsonError(500, 'tokens_not_configured', 'Room tokens not configured', corsHeaders);
+	}
+
+	// Room and host IDs are chosen here so nobody can claim someone else's room
+	const roomId = crypto.randomUUID().replace(/-/g, '').slice(0, 12);
+	const peerId = `HOST_${crypto.randomUUID()}`;
+
+	const token = await signToken({ roomId, role: 'host', peerId }, env.ROOM_TOKEN_SECRET);
+	const inviteToken = await signInvite(roomId, env);
+
+	console.log(`Created room ${roomId}`);
+
+	return new Response(JSON.stringify({ roomId, peerId, token, inviteToken }), {
+		headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+	});
 }
 
-interface Env {
-	DB: D1Database;
-	TURN_KEY_ID: string;
-	TURN_KEY_API_TOKEN: string;
+async function handleCreateInvite(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	if (request.method !== 'POST') {
+		return jsonError(405, 'method_not_allowed', 'Method not allowed', corsHeaders);
+	}
+
+	const claims = await getTokenClaims(request, env);
+	if (!claims || claims.role !== 'host') {
+		return unauthorized(corsHeaders);
+	}
+
+	// An ended room stays closed - its host token can't invite anyone back in
+	if (await isRoomEnded(claims.roomId, env)) {
+		return removedFromRoom(corsHeaders);
+	}
+
+	const inviteToken = await signInvite(claims.roomId, env);
+
+	return new Response(JSON.stringify({ roomId: claims.roomId, inviteToken }), {
+		headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+	});
+}
+
+async function handleKick(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	if (request.method !== 'POST') {
+		return jsonError(405, 'method_not_allowed', 'Method not allowed', corsHeaders);
+	}
+
+	const claims = await getTokenClaims(request, env);
+	if (!claims || claims.role !== 'host') {
+		return unauthorized(corsHeaders);
+	}
+
+	const { peerId } = await request.json().catch(() => ({})) as { peerId?: unknown };
+	if (!isValidId(peerId)) {
+		return jsonError(400, 'invalid_peer_id', 'Missing or invalid peerId', corsHeaders);
+	}
+
+	if (peerId === claims.peerId) {
+		return jsonError(400, 'cannot_kick_self', 'The host cannot kick itself', corsHeaders);
+	}
+
+	// The kicked guest's invite is revoked with it - the host gets a fresh one for everyone else
+	await removePeer(claims.roomId, peerId, env);
+	const inviteToken = await signInvite(claims.roomId, env);
+
+	console.log(`Host kicked ${peerId} from room ${claims.roomId}`);
+
+	return new Response(JSON.stringify({ success: true, inviteToken }), {
+		headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+	});
+}
+
+// Each invite gets its own ID so kicking a guest can revoke just the invite it came through
+function signInvite(roomId: string, env: Env): Promise<string> {
+	return signToken({ roomId, role: 'invite', inviteId: crypto.randomUUID() }, env.ROOM_TOKEN_SECRET);
 }
 
 // Helper functions for peer management
-async function addPeer(peerId: string, env: Env): Promise<void> {
+async function addPeer(roomId: string, peerId: string, isHost: boolean, inviteId: string | null, profile: PeerProfile, env: Env): Promise<void> {
 	const now = Date.now();
+	// A rejoin keeps the peer's ack cursor so delivered messages are not replayed
 	await env.DB.prepare(`
-		INSERT OR REPLACE INTO peers (peer_id, joined_at, last_seen)
-		VALUES (?, ?, ?)
-	`).bind(peerId, now, now).run();
+		INSERT INTO peers (room_id, peer_id, is_host, invite_id, display_name, role, color, joined_at, last_seen)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+		ON CONFLICT (room_id, peer_id) DO UPDATE SET
+			is_host = excluded.is_host, invite_id = excluded.invite_id, display_name = excluded.display_name, role = excluded.role,
+			color = excluded.color, joined_at = excluded.joined_at, last_seen = excluded.last_seen
+	`).bind(roomId, peerId, isHost ? 1 : 0, inviteId, profile.displayName, profile.role, profile.color, now, now).run();
 }
 
-async function updatePeerLastSeen(peerId: string, env: Env): Promise<void> {
-	await env.DB.prepare(`
-		UPDATE peers SET last_seen = ? WHERE peer_id = ?
-	`).bind(Date.now(), peerId).run();
+async function getPeer(roomId: string, peerId: string, env: Env): Promise<{ is_host: number } | null> {
+	return env.DB.prepare(`
+		SELECT is_host FROM peers WHERE room_id = ? AND peer_id = ?
+	`).bind(roomId, peerId).first<{ is_host: number }>();
+}
+
+function removedFromRoom(corsHeaders: Record<string, string>): Response {
+	return jsonError(403, 'removed_from_room', 'Removed from the room', corsHeaders);
+}
+
+async function getHostPeerId(roomId: string, env: Env): Promise<string | null> {
+	const result = await env.DB.prepare(`
+		SELECT peer_id FROM peers WHERE room_id = ? AND is_host = 1
+		ORDER BY joined_at DESC LIMIT 1
+	`).bind(roomId).first<{ peer_id: string }>();
+
+	return result?.peer_id ?? null;
 }
 
-async function getActivePeerCount(env: Env): Promise<number> {
+async function getActivePeerCount(roomId: string, env: Env): Promise<number> {
 	// Consider peers active if seen within last 5 minutes
 	const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
 	
 	const result = await env.DB.prepare(`
-		SELECT COUNT(*) as count FROM peers WHERE last_seen > ?
-	`).bind(fiveMinutesAgo).first();
+		SELECT COUNT(*) as count FROM peers WHERE room_id = ? AND last_seen > ?
+	`).bind(roomId, fiveMinutesAgo).first();
 	
 	return result?.count as number || 0;
 }
 
-async function cleanupInactivePeers(env: Env): Promise<void> {
-	// Remove peers inactive for more than 1 hour
-	const oneHourAgo = Date.now() - (60 * 60 * 1000);
-	
-	await env.DB.prepare(`
-		DELETE FROM peers WHERE last_seen < ?
-	`).bind(oneHourAgo).run();
-}
-
-async function cleanAllTables(env: Env): Promise<void> {
+async function resetRoom(roomId: string, env: Env): Promise<void> {
 	try {
-		// Clear all messages
-		await env.DB.prepare(`DELETE FROM messages`).run();
-		
-		// Clear all peers
-		await env.DB.prepare(`DELETE FROM peers`).run();
+		// Only this room's state is cleared - other rooms keep running
+		await env.DB.batch([
+			env.DB.prepare(`DELETE FROM messages WHERE room_id = ?`).bind(roomId),
+			env.DB.prepare(`DELETE FROM peers WHERE room_id = ?`).bind(roomId),
+		]);
 		
-		console.log('All database tables cleaned for new host session');
+		console.log(`Room ${roomId} reset for new host session`);
 	} catch (error) {
-		console.error('Error cleaning tables:', error);
+		console.error(`Error resetting room ${roomId}:`, error);
 	}
 }
 
 async function handleSignaling(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
 	if (request.method !== 'POST') {
-		return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+		return jsonError(405, 'method_not_allowed', 'Method not allowed', corsHeaders);
 	}
 
 	try {
-		const message: SignalingMessage = await request.json();
-		const { type, peerId, data } = message;
+		// Authenticate before reading the body, so a caller without a token learns nothing about what it sent
+		const claims = await getTokenClaims(request, env);
+		if (!claims) {
+			return unauthorized(corsHeaders);
+		}
+
+		const { type, roomId, peerId, targetPeer, profile, data } = await readSignalingMessage(request);
+		if (claims.roomId !== roomId) {
+			return unauthorized(corsHeaders);
+		}
+
+		if (await isKicked(roomId, peerId, env)) {
+			return removedFromRoom(corsHeaders);
+		}
 
-		console.log(`Signaling: ${type} from ${peerId}`);
+		console.log(`Signaling: ${type} from ${peerId} in room ${roomId}`);
 
 		switch (type) {
 			case 'join':
-				return handleSignalingJoin(peerId, corsHeaders, env);
+				// Invites let a guest pick its peer ID - session tokens only rejoin as their own peer
+				if (claims.role !== 'invite' && claims.peerId !== peerId) {
+					return unauthorized(corsHeaders);
+				}
+				return await handleSignalingJoin(roomId, peerId, claims, profile, corsHeaders, env);
 			
 			case 'offer':
 			case 'answer':
 			case 'candidate':
-				return handleSignalingMessage(type, peerId, data, corsHeaders, env);
+				if (!isSessionFor(claims, roomId, peerId)) {
+					return unauthorized(corsHeaders);
+				}
+				return await handleSignalingMessage(type, roomId, peerId, targetPeer, data, corsHeaders, env);
 			
-			default:
-				return new Response('Invalid message type', { status: 400, headers: corsHeaders });
+			case 'reject':
+				// Only the host decides who leaves the waiting room
+				if (!isSessionFor(claims, roomId, peerId) || claims.role !== 'host') {
+					return unauthorized(corsHeaders);
+				}
+				return await handleSignalingMessage(type, roomId, peerId, targetPeer, data, corsHeaders, env);
 		}
 	} catch (error) {
+		if (error instanceof HttpError) {
+			return jsonError(error.status, error.code, error.message, corsHeaders);
+		}
 		console.error('Signaling error:', error);
-		return new Response('Invalid JSON', { status: 400, headers: corsHeaders });
+		return jsonError(500, 'internal_error', 'Internal server error', corsHeaders);
 	}
 }
 
-async function handleSignalingJoin(peerId: string, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
-	// Check if this is a host joining
-	const isHost = peerId.startsWith('HOST_');
+async function handleSignalingJoin(
+	roomId: string,
+	peerId: string,
+	claims: TokenClaims,
+	profile: PeerProfile,
+	corsHeaders: Record<string, string>,
+	env: Env
+): Promise<Response> {
+	// Host privileges come from the signed token, never from the peer ID
+	const isHost = claims.role === 'host';
+	
+	// An invite cannot take over a peer ID that is already in the room
+	if (claims.role === 'invite' && await getPeer(roomId, peerId, env)) {
+		return jsonError(409, 'peer_id_taken', 'Peer ID already in use', corsHeaders);
+	}
+	
+	if (claims.role === 'invite' && claims.inviteId && await isInviteRevoked(roomId, claims.inviteId, env)) {
+		return jsonError(403, 'invite_revoked', 'This invite has been revoked', corsHeaders);
+	}
 	
 	if (isHost) {
-		console.log('Host joining - cleaning all database tables');
-		await cleanAllTables(env);
+		console.log(`Host joining - resetting room ${roomId}`);
+		await resetRoom(roomId, env);
 	}
 	
 	// Add peer to database
-	await addPeer(peerId, env);
+	await addPeer(roomId, peerId, isHost, claims.inviteId ?? null, profile, env);
 	
-	// Clean up inactive peers (if not already cleaned by host)
-	if (!isHost) {
-		await cleanupInactivePeers(env);
-	}
+	// Get current active peer count for this room
+	const peerCount = await getActivePeerCount(roomId, env);
+	
+	// Guests address their offers and candidates to the room's host
+	const hostPeerId = await getHostPeerId(roomId, env);
 	
-	// Get current active peer count
-	const peerCount = await getActivePeerCount(env);
+	// Exchange the invite (or refresh the session) for a token bound to this peer
+	const token = await signToken({ roomId, role: isHost ? 'host' : 'guest', peerId, inviteId: claims.inviteId }, env.ROOM_TOKEN_SECRET);
 	
-	console.log(`Peer ${peerId} joined. Total active peers: ${peerCount}`);
+	console.log(`Peer ${peerId} joined room ${roomId}. Active peers in room: ${peerCount}`);
 	
 	return new Response(JSON.stringify({
 		success: true,
 		isInitiator: peerCount === 1,
-		peerCount: peerCount
+		peerCount: peerCount,
+		hostPeerId: hostPeerId,
+		token: token
 	}), {
-		headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+		headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
 	});
 }
 
 async function handleSignalingMessage(
-	type: 'offer' | 'answer' | 'candidate', 
+	type: RelayedMessageType, 
+	roomId: string,
 	peerId: string, 
-	data: any, 
+	targetPeer: string | null,
+	data: SignalingData | null,
 	corsHeaders: Record<string, string>,
 	env: Env
 ): Promise<Response> {
 	try {
-		// Store message in D1 database
-		await env.DB.prepare(`
-			INSERT INTO messages (peer_id, type, data, timestamp)
-			VALUES (?, ?, ?, ?)
-		`).bind(peerId, type, JSON.stringify(data), Date.now()).run();
+		const timestamp = Date.now();
+		const serialized = JSON.stringify(data);
 
-		// Clean up old messages
-		await cleanupOldMessages(env);
-		console.log(`Stored ${type} from ${peerId} in D1`);
+		// Store message in D1 database - a null target_peer is broadcast to the whole room
+		const result = await env.DB.prepare(`
+			INSERT INTO messages (room_id, peer_id, target_peer, type, data, timestamp)
+			VALUES (?, ?, ?, ?, ?, ?)
+		`).bind(roomId, peerId, targetPeer, type, serialized, timestamp).run();
+
+		const message: RoomMessage = {
+			id: result.meta.last_row_id,
+			type,
+			data: serialized,
+			fromPeerId: peerId,
+			fromProfile: await getPeerProfile(roomId, peerId, env),
+			targetPeer,
+			timestamp
+		};
+
+		// Push to peers connected over WebSocket - polling peers still read it from D1
+		await publishToRoom(roomId, message, env);
+
+		console.log(`Stored ${type} from ${peerId} in room ${roomId}`);
 
 		return new Response(JSON.stringify({ success: true }), {
-			headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+			headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
 		});
 	} catch (error) {
 		console.error('Database error:', error);
-		return new Response('Database error', { status: 500, headers: corsHeaders });
+		return jsonError(500, 'database_error', 'Database error', corsHeaders);
+	}
+}
+
+async function publishToRoom(roomId: string, message: RoomMessage, env: Env): Promise<void> {
+	try {
+		const room = env.SIGNALING_ROOM.get(env.SIGNALING_ROOM.idFromName(roomId));
+		await room.publish(message);
+	} catch (error) {
+		console.error(`Error publishing to room ${roomId}:`, error);
+	}
+}
+
+async function handleWebSocket(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	if (request.headers.get('Upgrade') !== 'websocket') {
+		return jsonError(426, 'upgrade_required', 'Expected WebSocket upgrade', corsHeaders);
+	}
+
+	const url = new URL(request.url);
+	const roomId = url.searchParams.get('roomId');
+	const peerId = url.searchParams.get('peerId');
+
+	if (!isValidId(roomId)) {
+		return jsonError(400, 'invalid_room_id', 'Missing or invalid roomId', corsHeaders);
+	}
+
+	if (!isValidId(peerId)) {
+		return jsonError(400, 'invalid_peer_id', 'Missing or invalid peerId', corsHeaders);
+	}
+
+	if (!isSessionFor(await getTokenClaims(request, env), roomId, peerId)) {
+		return unauthorized(corsHeaders);
+	}
+
+	if (await isKicked(roomId, peerId, env)) {
+		return removedFromRoom(corsHeaders);
+	}
+
+	// One Durable Object per room holds all of that room's sockets
+	const room = env.SIGNALING_ROOM.get(env.SIGNALING_ROOM.idFromName(roomId));
+	return room.fetch(request);
+}
+
+async function handleMessageStream(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	const url = new URL(request.url);
+	const roomId = url.searchParams.get('roomId');
+	const peerId = url.searchParams.get('peerId');
+
+	if (!isValidId(roomId)) {
+		return jsonError(400, 'invalid_room_id', 'Missing or invalid roomId', corsHeaders);
+	}
+
+	if (!isValidId(peerId)) {
+		return jsonError(400, 'invalid_peer_id', 'Missing or invalid peerId', corsHeaders);
+	}
+
+	if (!isSessionFor(await getTokenClaims(request, env), roomId, peerId)) {
+		return unauthorized(corsHeaders);
+	}
+
+	if (await isKicked(roomId, peerId, env)) {
+		return removedFromRoom(corsHeaders);
+	}
+
+	// EventSource resends the last event id (a message id) when it reconnects
+	const after = Math.max(
+		parseInt(url.searchParams.get('after') || '0') || 0,
+		parseInt(request.headers.get('Last-Event-ID') || '0') || 0
+	);
+
+	try {
+		await updatePeerLastSeen(roomId, peerId, env);
+
+		// The room Durable Object holds the stream open and writes messages as they are published
+		const room = env.SIGNALING_ROOM.get(env.SIGNALING_ROOM.idFromName(roomId));
+		const stream = await room.fetch(`https://room/stream?roomId=${encodeURIComponent(roomId)}&peerId=${encodeURIComponent(peerId)}&after=${after}`);
+
+		// Streamed responses must not be compressed or cached
+		const streamHeaders: Record<string, string> = {
+			...corsHeaders,
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache'
+		};
+		delete streamHeaders['Content-Encoding'];
+
+		return new Response(stream.body, { headers: streamHeaders });
+	} catch (error) {
+		console.error('Stream error:', error);
+		return jsonError(500, 'database_error', 'Database error', corsHeaders);
 	}
 }
 
 async function handleMessages(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
 	const url = new URL(request.url);
+	const roomId = url.searchParams.get('roomId');
 	const peerId = url.searchParams.get('peerId');
-	const since = parseInt(url.searchParams.get('since') || '0');
+	const after = parseInt(url.searchParams.get('after') || '0') || 0;
+
+	if (!isValidId(roomId)) {
+		return jsonError(400, 'invalid_room_id', 'Missing or invalid roomId', corsHeaders);
+	}
+
+	if (!isValidId(peerId)) {
+		return jsonError(400, 'invalid_peer_id', 'Missing or invalid peerId', corsHeaders);
+	}
+
+	if (!isSessionFor(await getTokenClaims(request, env), roomId, peerId)) {
+		return unauthorized(corsHeaders);
+	}
 
-	if (!peerId) {
-		return new Response('Missing peerId', { status: 400, headers: corsHeaders });
+	if (await isKicked(roomId, peerId, env)) {
+		return removedFromRoom(corsHeaders);
 	}
 
 	try {
 		// Update peer's last seen timestamp
-		await updatePeerLastSeen(peerId, env);
+		await updatePeerLastSeen(roomId, peerId, env);
 		
-		// Get messages from other peers since timestamp (with limit for performance)
-		const result = await env.DB.prepare(`
-			SELECT type, data, peer_id as fromPeerId, timestamp
-			FROM messages 
-			WHERE peer_id != ? AND timestamp > ?
-			ORDER BY timestamp ASC
-			LIMIT 50
-		`).bind(peerId, since).all();
-
-		const peerMessages = result.results || [];
+		const { messages, cursor, more } = await getPendingMessages(roomId, peerId, after, env);
 
 		// Use compact JSON response
 		const response = JSON.stringify({
-			m: peerMessages, // Shortened property names
-			t: Date.now()
+			m: messages, // Shortened property names
+			t: Date.now(),
+			cursor, // Pass back as `after` for the next page
+			more // Poll again right away - the page was full
 		});
 
 		return new Response(response, {
-			headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+			headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
 		});
 	} catch (error) {
 		console.error('Database error:', error);
-		return new Response('Database error', { status: 500, headers: corsHeaders });
+		return jsonError(500, 'database_error', 'Database error', corsHeaders);
 	}
 }
 
-async function cleanupOldMessages(env: Env): Promise<void> {
+async function handleAck(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	if (request.method !== 'POST') {
+		return jsonError(405, 'method_not_allowed', 'Method not allowed', corsHeaders);
+	}
+
+	const { roomId, peerId, id } = await request.json().catch(() => ({})) as { roomId?: unknown; peerId?: unknown; id?: unknown };
+	if (!isValidId(roomId)) {
+		return jsonError(400, 'invalid_room_id', 'Missing or invalid roomId', corsHeaders);
+	}
+
+	if (!isValidId(peerId)) {
+		return jsonError(400, 'invalid_peer_id', 'Missing or invalid peerId', corsHeaders);
+	}
+
+	if (typeof id !== 'number' || !Number.isSafeInteger(id) || id < 1) {
+		return jsonError(400, 'invalid_ack', 'id must be the positive id of the last message handled', corsHeaders);
+	}
+
+	if (!isSessionFor(await getTokenClaims(request, env), roomId, peerId)) {
+		return unauthorized(corsHeaders);
+	}
+
+	if (await isKicked(roomId, peerId, env)) {
+		return removedFromRoom(corsHeaders);
+	}
+
 	try {
-		// Delete messages older than 1 hour
-		const oneHourAgo = Date.now() - (60 * 60 * 1000);
-		
-		await env.DB.prepare(`
-			DELETE FROM messages 
-			WHERE timestamp < ?
-		`).bind(oneHourAgo).run();
-		
-		// Also cleanup inactive peers
-		await cleanupInactivePeers(env);
-		
-		console.log('Cleaned up old messages and inactive peers');
+		await ackMessages(roomId, peerId, id, env);
+
+		return new Response(JSON.stringify({ success: true, acked: id }), {
+			headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+		});
 	} catch (error) {
-		console.error('Error cleaning up messages:', error);
+		console.error('Database error:', error);
+		return jsonError(500, 'database_error', 'Database error', corsHeaders);
+	}
+}
+
+async function route(request: Request, url: URL, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	if (url.pathname === '/recordings' || url.pathname.startsWith('/recordings/')) {
+		return handleRecordings(request, corsHeaders, env);
+	}
+
+	if (url.pathname.startsWith('/admin/')) {
+		return handleAdmin(request, corsHeaders, env);
+	}
+
+	switch (url.pathname) {
+		case '/rooms':
+			return handleCreateRoom(request, corsHeaders, env);
+		case '/rooms/invite':
+			return handleCreateInvite(request, corsHeaders, env);
+		case '/rooms/kick':
+			return handleKick(request, corsHeaders, env);
+		case '/signaling':
+			return handleSignaling(request, corsHeaders, env);
+		case '/messages':
+			return handleMessages(request, corsHeaders, env);
+		case '/messages/ack':
+			return handleAck(request, corsHeaders, env);
+		case '/messages/stream':
+			return handleMessageStream(request, corsHeaders, env);
+		case '/ws':
+			return handleWebSocket(request, corsHeaders, env);
+		case '/turn-credentials':
+			return handleTurnCredentials(request, corsHeaders, env);
+		case '/telemetry':
+		case '/telemetry/summary':
+			return handleTelemetry(request, corsHeaders, env);
+		default:
+			return jsonError(404, 'not_found', 'Not found', corsHeaders);
 	}
 }
 
@@ -216,8 +516,8 @@ export default {
 		// Enable CORS for all requests
 		const corsHeaders = {
 			'Access-Control-Allow-Origin': '*',
-			'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-			'Access-Control-Allow-Headers': 'Content-Type',
+			'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+			'Access-Control-Allow-Headers': 'Content-Type, Authorization, Last-Event-ID',
 			'Content-Encoding': 'gzip', // Enable compression
 			'Cache-Control': 'public, max-age=300', // 5-minute cache for static responses
 		};
@@ -227,53 +527,81 @@ export default {
 			return new Response(null, { headers: corsHeaders });
 		}
 
-		switch (url.pathname) {
-			case '/signaling':
-				return handleSignaling(request, corsHeaders, env);
-			case '/messages':
-				return handleMessages(request, corsHeaders, env);
-			case '/turn-credentials':
-				return handleTurnCredentials(request, corsHeaders, env);
-			default:
-				return new Response('Not Found', { status: 404, headers: corsHeaders });
+		try {
+			return await route(request, url, corsHeaders, env);
+		} catch (error) {
+			// Anything a route didn't handle still gets the JSON error envelope
+			console.error('Unhandled error:', error);
+			return jsonError(500, 'internal_error', 'Internal server error', corsHeaders);
 		}
 	},
+
+	// Cron Trigger - expires old messages, peers, rate limit windows, telemetry and kicks
+	async scheduled(controller, env, ctx): Promise<void> {
+		ctx.waitUntil(runCleanup(env, controller.scheduledTime));
+	},
 } satisfies ExportedHandler<Env>;
 
+// Relay credentials cost money, so their lifetime and issuance rate are bounded
+const TURN_DEFAULT_TTL = 4 * 60 * 60; // Seconds
+const TURN_MIN_TTL = 60;
+const TURN_MAX_TTL = 4 * 60 * 60;
+const TURN_RATE_LIMITS: Record<'ip' | 'room', RateLimit> = {
+	ip: { limit: 10, windowMs: 10 * 60 * 1000 },
+	room: { limit: 30, windowMs: 10 * 60 * 1000 },
+};
+
 async function handleTurnCredentials(
 	request: Request, 
 	corsHeaders: Record<string, string>, 
 	env: Env
 ): Promise<Response> {
 	if (request.method !== 'POST') {
-		return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+		return jsonError(405, 'method_not_allowed', 'Method not allowed', corsHeaders);
 	}
 
-	try {
-		// Check if required environment variables are set
-		if (!env.TURN_KEY_ID || !env.TURN_KEY_API_TOKEN) {
-			return new Response(JSON.stringify({
-				error: 'TURN credentials not configured'
-			}), {
-				status: 500,
-				headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+	// Only peers holding a room session may mint relay credentials
+	const claims = await getTokenClaims(request, env);
+	if (!claims || claims.role === 'invite' || !claims.peerId) {
+		return jsonError(401, 'unauthorized', 'Invalid or missing room token', corsHeaders);
+	}
+
+	// ...and only while they are still in the room
+	if (!await getPeer(claims.roomId, claims.peerId, env)) {
+		return jsonError(403, 'not_in_room', 'Join the room before requesting TURN credentials', corsHeaders);
+	}
+
+	// Parse request body to get TTL - anything above the maximum is capped
+	let ttl = TURN_DEFAULT_TTL;
+	const body = await request.json().catch(() => ({})) as { ttl?: unknown };
+	if (body?.ttl !== undefined) {
+		if (typeof body.ttl !== 'number' || !Number.isInteger(body.ttl) || body.ttl < TURN_MIN_TTL) {
+			return jsonError(400, 'invalid_ttl', `ttl must be an integer of at least ${TURN_MIN_TTL} seconds`, corsHeaders);
+		}
+		ttl = Math.min(body.ttl, TURN_MAX_TTL);
+	}
+
+	const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+	for (const [scope, key] of [['ip', ip], ['room', claims.roomId]] as const) {
+		const { allowed, retryAfter } = await hitRateLimit(`turn:${scope}:${key}`, TURN_RATE_LIMITS[scope], env);
+		if (!allowed) {
+			console.warn(`TURN credentials rate limited for ${scope} ${key}`);
+			return jsonError(429, 'rate_limited', 'Too many TURN credential requests - try again later', corsHeaders, {
+				'Retry-After': String(retryAfter)
 			});
 		}
+	}
 
-		// Parse request body to get TTL (default to 24 hours)
-		let ttl = 86400; // 24 hours in seconds
-		try {
-			const body = await request.json() as { ttl?: number };
-			if (body.ttl && typeof body.ttl === 'number') {
-				ttl = body.ttl;
-			}
-		} catch {
-			// Use default TTL if no valid JSON body
+	try {
+		// Check if required environment variables are set
+		if (!env.TURN_KEY_ID || !env.TURN_KEY_API_TOKEN) {
+			return jsonError(500, 'turn_not_configured', 'TURN credentials not configured', corsHeaders);
 		}
 
-		// Call Cloudflare TURN API
+		// TURN_API_BASE can point at a local stand-in during development and tests
+		const apiBase = env.TURN_API_BASE || 'https://rtc.live.cloudflare.com/v1';
 		const response = await fetch(
-			`https://rtc.live.cloudflare.com/v1/turn/keys/${env.TURN_KEY_ID}/credentials/generate-ice-servers`,
+			`${apiBase}/turn/keys/${env.TURN_KEY_ID}/credentials/generate-ice-servers`,
 			{
 				method: 'POST',
 				headers: {
@@ -286,29 +614,19 @@ async function handleTurnCredentials(
 
 		if (!response.ok) {
 			console.error('Cloudflare TURN API error:', response.status, response.statusText);
-			return new Response(JSON.stringify({
-				error: 'Failed to generate TURN credentials'
-			}), {
-				status: response.status,
-				headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-			});
+			return jsonError(502, 'turn_upstream_error', 'Failed to generate TURN credentials', corsHeaders);
 		}
 
 		const turnData = await response.json();
 		
-		console.log('Generated TURN credentials successfully');
+		console.log(`Generated TURN credentials for ${claims.peerId} in room ${claims.roomId} (ttl ${ttl}s)`);
 
 		return new Response(JSON.stringify(turnData), {
-			headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+			headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
 		});
 
 	} catch (error) {
 		console.error('TURN credentials error:', error);
-		return new Response(JSON.stringify({
-			error: 'Internal server error'
-		}), {
-			status: 500,
-			headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-		});
+		return jsonError(500, 'internal_error', 'Internal server error', corsHeaders);
 	}
 }
@@ -0,0 +1,37 @@
+/**
+ * Fixed-window rate limits counted in D1 so every worker instance shares them
+ */
+
+import type { Env } from './types';
+
+export interface RateLimit {
+	limit: number; // Requests allowed per window
+	windowMs: number;
+}
+
+export interface RateLimitResult {
+	allowed: boolean;
+	retryAfter: number; // Seconds until the current window ends
+}
+
+export async function hitRateLimit(key: string, { limit, windowMs }: RateLimit, env: Env, now = Date.now()): Promise<RateLimitResult> {
+	const windowStart = now - (now % windowMs);
+
+	const row = await env.DB.prepare(`
+		INSERT INTO rate_limits (key, window_start, count) VALUES (?, ?, 1)
+		ON CONFLICT (key, window_start) DO UPDATE SET count = count + 1
+		RETURNING count
+	`).bind(key, windowStart).first<{ count: number }>();
+
+	return {
+		allowed: (row?.count ?? 0) <= limit,
+		retryAfter: Math.ceil((windowStart + windowMs - now) / 1000)
+	};
+}
+
+// Run in bulk by the scheduled cleanup
+export function expiredRateLimits(env: Env, olderThan: number): D1PreparedStatement {
+	return env.DB.prepare(`
+		DELETE FROM rate_limits WHERE window_start < ?
+	`).bind(olderThan);
+}
@@ -0,0 +1,287 @@
+/**
+ * Host recordings stored in R2 through resumable multipart uploads
+ * D1 tracks each upload and its parts so a crashed host tab can still finish what it sent
+ */
+
+import { getTokenClaims, jsonError } from './http';
+import { isKicked } from './rooms';
+import { signToken } from './tokens';
+import type { Env } from './types';
+
+// R2 needs every part but the last to be the same size, and at least 5 MiB
+export const RECORDING_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PART_NUMBER = 10000;
+
+interface RecordingRow {
+	id: string;
+	room_id: string;
+	session_id: string;
+	name: string;
+	object_key: string;
+	upload_id: string;
+	content_type: string;
+	status: 'uploading' | 'complete';
+	size: number;
+	created_at: number;
+	completed_at: number | null;
+}
+
+interface PartRow {
+	part_number: number;
+	etag: string;
+	size: number;
+}
+
+function json(body: unknown, corsHeaders: Record<string, string>, status = 200): Response {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+	});
+}
+
+async function getRecording(id: string, roomId: string, env: Env): Promise<RecordingRow | null> {
+	return env.DB.prepare(`
+		SELECT * FROM recordings WHERE id = ? AND room_id = ?
+	`).bind(id, roomId).first<RecordingRow>();
+}
+
+async function getParts(id: string, env: Env): Promise<PartRow[]> {
+	const result = await env.DB.prepare(`
+		SELECT part_number, etag, size FROM recording_parts WHERE recording_id = ? ORDER BY part_number ASC
+	`).bind(id).all<PartRow>();
+	return result.results || [];
+}
+
+async function toSummary(recording: RecordingRow, env: Env) {
+	const summary = {
+		id: recording.id,
+		sessionId: recording.session_id,
+		name: recording.name,
+		contentType: recording.content_type,
+		status: recording.status,
+		size: recording.size,
+		createdAt: recording.created_at,
+		completedAt: recording.completed_at,
+		downloadUrl: null as string | null
+	};
+
+	if (recording.status === 'complete') {
+		const token = await signToken({ roomId: recording.room_id, role: 'download', recordingId: recording.id }, env.ROOM_TOKEN_SECRET);
+		summary.downloadUrl = `/recordings/${recording.id}/download?token=${encodeURIComponent(token)}`;
+	}
+
+	return summary;
+}
+
+async function createRecording(request: Request, roomId: string, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	const body = await request.json().catch(() => null) as { sessionId?: unknown; name?: unknown; contentType?: unknown } | null;
+	if (!body) {
+		return jsonError(400, 'invalid_json', 'Invalid JSON', corsHeaders);
+	}
+
+	const { sessionId, name, contentType } = body;
+	if (typeof sessionId !== 'string' || !/^[\w-]{1,64}$/.test(sessionId)) {
+		return jsonError(400, 'invalid_session', 'sessionId must be 1-64 letters, digits, dashes or underscores', corsHeaders);
+	}
+	if (typeof contentType !== 'string' || !/^video\/(webm|mp4)\b/.test(contentType)) {
+		return jsonError(400, 'invalid_content_type', 'contentType must be video/webm or video/mp4', corsHeaders);
+	}
+	if (name !== undefined && (typeof name !== 'string' || name.length > 80)) {
+		return jsonError(400, 'invalid_name', 'name must be a string of at most 80 characters', corsHeaders);
+	}
+
+	const id = crypto.randomUUID();
+	const extension = contentType.startsWith('video/mp4') ? 'mp4' : 'webm';
+	const key = `rooms/${roomId}/${sessionId}/${id}.${extension}`;
+
+	const upload = await env.RECORDINGS.createMultipartUpload(key, { httpMetadata: { contentType } });
+
+	await env.DB.prepare(`
+		INSERT INTO recordings (id, room_id, session_id, name, object_key, upload_id, content_type, created_at)
+		VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+	`).bind(id, roomId, sessionId, (name as string | undefined) || 'recording', key, upload.uploadId, contentType, Date.now()).run();
+
+	console.log(`Started recording upload ${id} in room ${roomId}`);
+
+	return json({ id, partSize: RECORDING_PART_SIZE }, corsHeaders, 201);
+}
+
+function invalidPartSize(corsHeaders: Record<string, string>): Response {
+	return jsonError(413, 'invalid_part_size', `Parts must be between 1 byte and ${RECORDING_PART_SIZE} bytes`, corsHeaders);
+}
+
+async function uploadPart(
+	request: Request,
+	recording: RecordingRow,
+	partNumber: number,
+	corsHeaders: Record<string, string>,
+	env: Env
+): Promise<Response> {
+	if (recording.status !== 'uploading') {
+		return jsonError(409, 'upload_closed', 'Recording is already complete', corsHeaders);
+	}
+	if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PART_NUMBER) {
+		return jsonError(400, 'invalid_part', `Part number must be between 1 and ${MAX_PART_NUMBER}`, corsHeaders);
+	}
+
+	// Oversized parts are turned away before their body is buffered
+	const declaredLength = parseInt(request.headers.get('Content-Length') || '0');
+	if (declaredLength > RECORDING_PART_SIZE) {
+		return invalidPartSize(corsHeaders);
+	}
+
+	const data = await request.arrayBuffer();
+	if (data.byteLength === 0 || data.byteLength > RECORDING_PART_SIZE) {
+		return invalidPartSize(corsHeaders);
+	}
+
+	const upload = env.RECORDINGS.resumeMultipartUpload(recording.object_key, recording.upload_id);
+	const part = await upload.uploadPart(partNumber, data);
+
+	// Retrying a part simply replaces it
+	await env.DB.prepare(`
+		INSERT OR REPLACE INTO recording_parts (recording_id, part_number, etag, size) VALUES (?, ?, ?, ?)
+	`).bind(recording.id, partNumber, part.etag, data.byteLength).run();
+
+	return json({ partNumber, etag: part.etag, size: data.byteLength }, corsHeaders);
+}
+
+async function completeRecording(recording: RecordingRow, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	if (recording.status === 'complete') {
+		return json(await toSummary(recording, env), corsHeaders);
+	}
+
+	const parts = await getParts(recording.id, env);
+	const upload = env.RECORDINGS.resumeMultipartUpload(recording.object_key, recording.upload_id);
+
+	// Nothing reached R2 before the recording ended - drop it
+	if (parts.length === 0) {
+		await upload.abort();
+		await deleteRows(recording.id, env);
+		return json({ id: recording.id, status: 'discarded' }, corsHeaders);
+	}
+
+	// Parts must be contiguous and full-sized except the last, or R2 rejects the upload
+	const gap = parts.findIndex((part, index) => part.part_number !== index + 1);
+	const short = parts.slice(0, -1).find((part) => part.size !== RECORDING_PART_SIZE);
+	if (gap !== -1 || short) {
+		return jsonError(409, 'incomplete_upload', 'Recording parts are missing or the wrong size', corsHeaders);
+	}
+
+	await upload.complete(parts.map((part) => ({ partNumber: part.part_number, etag: part.etag })));
+
+	const size = parts.reduce((total, part) => total + part.size, 0);
+	const completedAt = Date.now();
+	await env.DB.batch([
+		env.DB.prepare(`UPDATE recordings SET status = 'complete', size = ?, completed_at = ? WHERE id = ?`).bind(size, completedAt, recording.id),
+		env.DB.prepare(`DELETE FROM recording_parts WHERE recording_id = ?`).bind(recording.id),
+	]);
+
+	console.log(`Completed recording ${recording.id} (${parts.length} parts, ${size} bytes)`);
+
+	return json(await toSummary({ ...recording, status: 'complete', size, completed_at: completedAt }, env), corsHeaders);
+}
+
+async function deleteRows(id: string, env: Env): Promise<void> {
+	await env.DB.batch([
+		env.DB.prepare(`DELETE FROM recording_parts WHERE recording_id = ?`).bind(id),
+		env.DB.prepare(`DELETE FROM recordings WHERE id = ?`).bind(id),
+	]);
+}
+
+async function deleteRecording(recording: RecordingRow, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	if (recording.status === 'uploading') {
+		await env.RECORDINGS.resumeMultipartUpload(recording.object_key, recording.upload_id).abort();
+	} else {
+		await env.RECORDINGS.delete(recording.object_key);
+	}
+
+	await deleteRows(recording.id, env);
+	return json({ id: recording.id, status: 'deleted' }, corsHeaders);
+}
+
+async function downloadRecording(request: Request, id: string, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	// Signed links work without the host token, e.g. when opened in a new tab
+	const claims = await getTokenClaims(request, env);
+	if (!claims || claims.role !== 'download' || claims.recordingId !== id) {
+		return jsonError(401, 'unauthorized', 'Invalid or expired download link', corsHeaders);
+	}
+
+	const recording = await getRecording(id, claims.roomId, env);
+	const object = recording?.status === 'complete' ? await env.RECORDINGS.get(recording.object_key) : null;
+	if (!recording || !object) {
+		return jsonError(404, 'not_found', 'Recording not found', corsHeaders);
+	}
+
+	const fileName = `${recording.name.replace(/[^\w.-]+/g, '_')}-${recording.id}.${recording.object_key.split('.').pop()}`;
+	const headers: Record<string, string> = {
+		...corsHeaders,
+		'Content-Type': recording.content_type,
+		'Content-Length': String(object.size),
+		'Content-Disposition': `attachment; filename="${fileName}"`,
+		'Cache-Control': 'private, max-age=3600'
+	};
+	// The stored bytes are not gzipped, so the shared gzip header would break the download
+	delete headers['Content-Encoding'];
+
+	return new Response(object.body, { headers });
+}
+
+export async function handleRecordings(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	const [, , id, action, partNumber] = new URL(request.url).pathname.split('/');
+
+	if (id && action === 'download' && request.method === 'GET') {
+		return downloadRecording(request, id, corsHeaders, env);
+	}
+
+	// Everything else is for the room's host
+	const claims = await getTokenClaims(request, env);
+	if (!claims || claims.role !== 'host') {
+		return jsonError(401, 'unauthorized', 'Invalid or missing host token', corsHeaders);
+	}
+
+	// A host token outlives the room, so an ended room can't keep recording
+	if (await isKicked(claims.roomId, claims.peerId!, env)) {
+		return jsonError(403, 'removed_from_room', 'Removed from the room', corsHeaders);
+	}
+
+	try {
+		if (!id) {
+			if (request.method === 'POST') {
+				return await createRecording(request, claims.roomId, corsHeaders, env);
+			}
+			if (request.method === 'GET') {
+				const result = await env.DB.prepare(`
+					SELECT * FROM recordings WHERE room_id = ? ORDER BY created_at DESC
+				`).bind(claims.roomId).all<RecordingRow>();
+				const recordings = await Promise.all((result.results || []).map((recording) => toSummary(recording, env)));
+				return json({ recordings }, corsHeaders);
+			}
+			return jsonError(405, 'method_not_allowed', 'Method not allowed', corsHeaders);
+		}
+
+		const recording = await getRecording(id, claims.roomId, env);
+		if (!recording) {
+			return jsonError(404, 'not_found', 'Recording not found', corsHeaders);
+		}
+
+		if (!action && request.method === 'GET') {
+			// Lets a reloaded host see which parts already made it
+			return json({ ...(await toSummary(recording, env)), parts: await getParts(recording.id, env) }, corsHeaders);
+		}
+		if (!action && request.method === 'DELETE') {
+			return await deleteRecording(recording, corsHeaders, env);
+		}
+		if (action === 'parts' && request.method === 'PUT') {
+			return await uploadPart(request, recording, Number(partNumber), corsHeaders, env);
+		}
+		if (action === 'complete' && request.method === 'POST') {
+			return await completeRecording(recording, corsHeaders, env);
+		}
+
+		return jsonError(404, 'not_found', 'Not found', corsHeaders);
+	} catch (error) {
+		console.error('Recording error:', error);
+		return jsonError(500, 'internal_error', 'Internal server error', corsHeaders);
+	}
+}
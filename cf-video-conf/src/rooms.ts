@@ -0,0 +1,67 @@
+/**
+ * Removing peers and ending rooms - shared by the host's kick and the admin routes
+ */
+
+import type { Env } from './types';
+
+// A kicked_peers row with this peer ID closes the whole room
+const ROOM_ENDED = '*';
+
+// Revoked invites are kicked_peers rows too - peer IDs can't contain ':', so they never collide
+const REVOKED_INVITE = 'invite:';
+
+// Kicked peers keep their session token, so every request checks this list
+export async function isKicked(roomId: string, peerId: string, env: Env): Promise<boolean> {
+	const row = await env.DB.prepare(`
+		SELECT 1 FROM kicked_peers WHERE room_id = ? AND peer_id IN (?, ?)
+	`).bind(roomId, peerId, ROOM_ENDED).first();
+	return row !== null;
+}
+
+export async function isRoomEnded(roomId: string, env: Env): Promise<boolean> {
+	const row = await env.DB.prepare(`
+		SELECT 1 FROM kicked_peers WHERE room_id = ? AND peer_id = ?
+	`).bind(roomId, ROOM_ENDED).first();
+	return row !== null;
+}
+
+export async function isInviteRevoked(roomId: string, inviteId: string, env: Env): Promise<boolean> {
+	return isKicked(roomId, REVOKED_INVITE + inviteId, env);
+}
+
+// The peer's invite is revoked with it, so it can't come straight back under a new peer ID
+export async function removePeer(roomId: string, peerId: string, env: Env): Promise<void> {
+	const now = Date.now();
+	await env.DB.batch([
+		env.DB.prepare(`INSERT OR REPLACE INTO kicked_peers (room_id, peer_id, kicked_at) VALUES (?, ?, ?)`).bind(roomId, peerId, now),
+		env.DB.prepare(`
+			INSERT OR REPLACE INTO kicked_peers (room_id, peer_id, kicked_at)
+			SELECT room_id, ? || invite_id, ? FROM peers WHERE room_id = ? AND peer_id = ? AND invite_id IS NOT NULL
+		`).bind(REVOKED_INVITE, now, roomId, peerId),
+		env.DB.prepare(`DELETE FROM peers WHERE room_id = ? AND peer_id = ?`).bind(roomId, peerId),
+		env.DB.prepare(`DELETE FROM messages WHERE room_id = ? AND (peer_id = ? OR target_peer = ?)`).bind(roomId, peerId, peerId),
+	]);
+
+	// Drop its open WebSocket and event stream so it stops receiving signaling right away
+	try {
+		const room = env.SIGNALING_ROOM.get(env.SIGNALING_ROOM.idFromName(roomId));
+		await room.disconnect(peerId);
+	} catch (error) {
+		console.error(`Error disconnecting ${peerId} from room ${roomId}:`, error);
+	}
+}
+
+export async function endRoom(roomId: string, env: Env): Promise<void> {
+	await env.DB.batch([
+		env.DB.prepare(`INSERT OR REPLACE INTO kicked_peers (room_id, peer_id, kicked_at) VALUES (?, ?, ?)`).bind(roomId, ROOM_ENDED, Date.now()),
+		env.DB.prepare(`DELETE FROM peers WHERE room_id = ?`).bind(roomId),
+		env.DB.prepare(`DELETE FROM messages WHERE room_id = ?`).bind(roomId),
+	]);
+
+	try {
+		const room = env.SIGNALING_ROOM.get(env.SIGNALING_ROOM.idFromName(roomId));
+		await room.disconnectAll('The room has ended');
+	} catch (error) {
+		console.error(`Error disconnecting room ${roomId}:`, error);
+	}
+}
@@ -0,0 +1,208 @@
+/**
+ * Per-room Durable Object that pushes signaling messages to WebSocket and SSE peers
+ * D1 stays the source of truth - this only fans messages out as they are stored
+ */
+
+import { DurableObject } from 'cloudflare:workers';
+import { ackMessages, getPendingMessages, updatePeerLastSeen } from './db';
+import type { Env, RoomMessage } from './types';
+
+interface EventStream {
+	roomId: string;
+	peerId: string;
+	writer: WritableStreamDefaultWriter<Uint8Array>;
+	lastSeenAt: number;
+}
+
+const encoder = new TextEncoder();
+
+// SSE peers can't ping, so the heartbeat keeps their last_seen fresh - at most this often
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+function formatEvent(message: RoomMessage): string {
+	// The event id is the message id so Last-Event-ID maps onto `after`
+	return `id: ${message.id}\ndata: ${JSON.stringify(message)}\n\n`;
+}
+
+export class SignalingRoom extends DurableObject<Env> {
+	// Unlike hibernatable WebSockets, SSE streams only live while this instance is in memory
+	private streams = new Set<EventStream>();
+	private heartbeat: ReturnType<typeof setInterval> | null = null;
+
+	async fetch(request: Request): Promise<Response> {
+		const url = new URL(request.url);
+		const roomId = url.searchParams.get('roomId');
+		const peerId = url.searchParams.get('peerId');
+
+		if (!roomId || !peerId) {
+			return new Response('Missing roomId or peerId', { status: 400 });
+		}
+
+		if (url.pathname === '/stream') {
+			return this.openEventStream(roomId, peerId, parseInt(url.searchParams.get('after') || '0') || 0);
+		}
+
+		const { 0: client, 1: server } = new WebSocketPair();
+
+		// Tag the socket with its peer so addressed messages can find it after hibernation
+		this.ctx.acceptWebSocket(server, [peerId]);
+		server.serializeAttachment({ roomId, peerId });
+
+		console.log(`WebSocket opened for ${peerId} in room ${roomId}`);
+
+		return new Response(null, { status: 101, webSocket: client });
+	}
+
+	private async openEventStream(roomId: string, peerId: string, after: number): Promise<Response> {
+		const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+		// The worker updated last_seen when it opened the stream
+		const stream: EventStream = { roomId, peerId, writer: writable.getWriter(), lastSeenAt: Date.now() };
+
+		// Subscribe before reading the backlog so nothing published in between is lost
+		this.streams.add(stream);
+		this.startHeartbeat();
+
+		// Send the whole backlog, a page at a time
+		this.write(stream, `retry: 2000\n\n`);
+		let page = await getPendingMessages(roomId, peerId, after, this.env);
+		this.write(stream, page.messages.map(formatEvent).join(''));
+		while (page.more) {
+			page = await getPendingMessages(roomId, peerId, page.cursor, this.env);
+			this.write(stream, page.messages.map(formatEvent).join(''));
+		}
+
+		console.log(`Event stream opened for ${peerId} in room ${roomId}`);
+
+		return new Response(readable, {
+			headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' }
+		});
+	}
+
+	private startHeartbeat(): void {
+		if (this.heartbeat) return;
+
+		// Comment lines keep proxies from timing out idle streams
+		this.heartbeat = setInterval(() => {
+			const now = Date.now();
+			for (const stream of this.streams) {
+				this.write(stream, `: keepalive\n\n`);
+
+				if (now - stream.lastSeenAt >= LAST_SEEN_INTERVAL_MS) {
+					stream.lastSeenAt = now;
+					updatePeerLastSeen(stream.roomId, stream.peerId, this.env).catch((error) => {
+						console.error('Error updating last seen:', error);
+					});
+				}
+			}
+
+			if (this.streams.size === 0 && this.heartbeat) {
+				clearInterval(this.heartbeat);
+				this.heartbeat = null;
+			}
+		}, 15000);
+	}
+
+	private write(stream: EventStream, chunk: string): void {
+		stream.writer.write(encoder.encode(chunk)).catch(() => {
+			// The client went away - stop writing to this stream
+			this.streams.delete(stream);
+		});
+	}
+
+	// Called by the worker after a message has been stored in D1
+	async publish(message: RoomMessage): Promise<number> {
+		const isRecipient = (peerId: string) =>
+			message.targetPeer ? peerId === message.targetPeer : peerId !== message.fromPeerId;
+
+		const payload = JSON.stringify(message);
+		const sockets = message.targetPeer
+			? this.ctx.getWebSockets(message.targetPeer)
+			: this.ctx.getWebSockets().filter((ws) => !this.ctx.getTags(ws).includes(message.fromPeerId));
+
+		let delivered = 0;
+		for (const ws of sockets) {
+			try {
+				ws.send(payload);
+				delivered++;
+			} catch (error) {
+				console.error('WebSocket send error:', error);
+			}
+		}
+
+		for (const stream of this.streams) {
+			if (isRecipient(stream.peerId)) {
+				this.write(stream, formatEvent(message));
+				delivered++;
+			}
+		}
+
+		return delivered;
+	}
+
+	// Called by the worker when the host kicks a peer
+	async disconnect(peerId: string, reason = 'Removed from the room'): Promise<void> {
+		for (const ws of this.ctx.getWebSockets(peerId)) {
+			try {
+				ws.close(4003, reason);
+			} catch (error) {
+				console.error('WebSocket close error:', error);
+			}
+		}
+
+		for (const stream of this.streams) {
+			if (stream.peerId === peerId) {
+				this.streams.delete(stream);
+				stream.writer.close().catch(() => {});
+			}
+		}
+	}
+
+	// Called by the worker when an admin ends the room
+	async disconnectAll(reason: string): Promise<void> {
+		const peerIds = new Set([
+			...this.ctx.getWebSockets().flatMap((ws) => this.ctx.getTags(ws)),
+			...[...this.streams].map((stream) => stream.peerId),
+		]);
+
+		for (const peerId of peerIds) {
+			await this.disconnect(peerId, reason);
+		}
+	}
+
+	async webSocketMessage(ws: WebSocket, message: string | ArrayBuffer): Promise<void> {
+		// Only keepalive pings and acks travel upstream - signaling is still POSTed to /signaling
+		if (typeof message !== 'string') return;
+		const { roomId, peerId } = ws.deserializeAttachment() as { roomId: string; peerId: string };
+
+		if (message === 'ping') {
+			ws.send(JSON.stringify({ type: 'pong', t: Date.now() }));
+
+			// Keep the peer active, as polling /messages would
+			try {
+				await updatePeerLastSeen(roomId, peerId, this.env);
+			} catch (error) {
+				console.error('Error updating last seen:', error);
+			}
+			return;
+		}
+
+		// { type: 'ack', id } - same as POST /messages/ack without the extra request
+		try {
+			const ack = JSON.parse(message) as { type?: unknown; id?: unknown };
+			if (ack.type === 'ack' && Number.isSafeInteger(ack.id) && (ack.id as number) > 0) {
+				await ackMessages(roomId, peerId, ack.id as number, this.env);
+			}
+		} catch (error) {
+			console.error('Ignoring WebSocket message:', error);
+		}
+	}
+
+	async webSocketClose(ws: WebSocket, code: number, reason: string): Promise<void> {
+		try {
+			ws.close(code, reason);
+		} catch {
+			// Reserved close codes (1005, 1006) cannot be echoed back
+			ws.close();
+		}
+	}
+}
@@ -0,0 +1,203 @@
+/**
+ * Call-quality telemetry sent in batches by the host and guest pages
+ * Samples describe one guest's stream - from its own sender side, or as received by the host
+ */
+
+import { getPeerProfile } from './db';
+import { getTokenClaims, jsonError } from './http';
+import { hitRateLimit, type RateLimit } from './rate-limit';
+import { isKicked } from './rooms';
+import type { Env } from './types';
+
+const MAX_SAMPLES_PER_BATCH = 50;
+const TELEMETRY_RATE_LIMIT: RateLimit = { limit: 60, windowMs: 10 * 60 * 1000 }; // Batches per peer
+const DEVICE_TYPES = ['desktop', 'ios', 'android', 'other'] as const;
+
+// Averages past these mark a peer's calls as poor in the summary
+const POOR_SMOOTHNESS = 70;
+const POOR_LOSS_PERCENT = 5;
+const POOR_RTT_MS = 400;
+
+interface TelemetrySample {
+	subjectPeerId: string;
+	timestamp: number;
+	setupMs: number | null;
+	smoothnessScore: number | null;
+	codec: string | null;
+	bitrateKbps: number | null;
+	lossPercent: number | null;
+	rttMs: number | null;
+	fps: number | null;
+	adjustments: number;
+}
+
+function json(body: unknown, corsHeaders: Record<string, string>, status = 200): Response {
+	return new Response(JSON.stringify(body), {
+		status,
+		headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+	});
+}
+
+// Out-of-range numbers are dropped rather than failing the whole batch
+function metric(value: unknown, max: number): number | null {
+	return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max ? value : null;
+}
+
+function parseSample(raw: unknown, reporterPeerId: string, isHost: boolean, now: number): TelemetrySample | null {
+	if (!raw || typeof raw !== 'object') return null;
+	const sample = raw as Record<string, unknown>;
+
+	// Only the host reports on other peers - what it receives from each guest
+	let subjectPeerId = reporterPeerId;
+	if (isHost && sample.remotePeerId !== undefined) {
+		if (typeof sample.remotePeerId !== 'string' || !/^[\w-]{1,64}$/.test(sample.remotePeerId)) return null;
+		subjectPeerId = sample.remotePeerId;
+	}
+
+	// Clock skew or stale retries fall back to the receive time
+	const timestamp = metric(sample.timestamp, Number.MAX_SAFE_INTEGER);
+	const isRecent = timestamp !== null && timestamp <= now + 60 * 1000 && timestamp >= now - 24 * 60 * 60 * 1000;
+
+	return {
+		subjectPeerId,
+		timestamp: isRecent ? timestamp : now,
+		setupMs: metric(sample.setupMs, 5 * 60 * 1000),
+		smoothnessScore: metric(sample.smoothnessScore, 100),
+		codec: typeof sample.codec === 'string' && /^[\w.-]{1,16}$/.test(sample.codec) ? sample.codec : null,
+		bitrateKbps: metric(sample.bitrateKbps, 100000),
+		lossPercent: metric(sample.lossPercent, 100),
+		rttMs: metric(sample.rttMs, 60 * 1000),
+		fps: metric(sample.fps, 240),
+		adjustments: metric(sample.adjustments, 1000) ?? 0
+	};
+}
+
+async function recordTelemetry(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	const claims = await getTokenClaims(request, env);
+	if (!claims || claims.role === 'invite' || claims.role === 'download' || !claims.peerId) {
+		return jsonError(401, 'unauthorized', 'Invalid or missing room token', corsHeaders);
+	}
+
+	// Session tokens outlive a kick or a left room - only peers still in it report
+	if (await isKicked(claims.roomId, claims.peerId, env)) {
+		return jsonError(403, 'removed_from_room', 'Removed from the room', corsHeaders);
+	}
+	if (!await getPeerProfile(claims.roomId, claims.peerId, env)) {
+		return jsonError(403, 'not_in_room', 'Join the room before sending telemetry', corsHeaders);
+	}
+
+	const body = await request.json().catch(() => null) as { deviceType?: unknown; samples?: unknown } | null;
+	if (!body || !Array.isArray(body.samples)) {
+		return jsonError(400, 'invalid_telemetry', 'Expected { deviceType, samples: [...] }', corsHeaders);
+	}
+	if (body.samples.length > MAX_SAMPLES_PER_BATCH) {
+		return jsonError(413, 'too_many_samples', `At most ${MAX_SAMPLES_PER_BATCH} samples per batch`, corsHeaders);
+	}
+
+	const { allowed, retryAfter } = await hitRateLimit(`telemetry:${claims.roomId}:${claims.peerId}`, TELEMETRY_RATE_LIMIT, env);
+	if (!allowed) {
+		return jsonError(429, 'rate_limited', 'Too many telemetry batches - try again later', corsHeaders, {
+			'Retry-After': String(retryAfter)
+		});
+	}
+
+	const now = Date.now();
+	const deviceType = DEVICE_TYPES.find((type) => type === body.deviceType) || 'other';
+	const samples = body.samples
+		.map((sample) => parseSample(sample, claims.peerId!, claims.role === 'host', now))
+		.filter((sample): sample is TelemetrySample => sample !== null);
+
+	if (samples.length > 0) {
+		const insert = env.DB.prepare(`
+			INSERT INTO telemetry (
+				room_id, reporter_peer_id, subject_peer_id, role, device_type, timestamp,
+				setup_ms, smoothness_score, codec, bitrate_kbps, loss_percent, rtt_ms, fps, adjustments, created_at
+			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`);
+		await env.DB.batch(samples.map((sample) => insert.bind(
+			claims.roomId, claims.peerId, sample.subjectPeerId, claims.role, deviceType, sample.timestamp,
+			sample.setupMs, sample.smoothnessScore, sample.codec, sample.bitrateKbps, sample.lossPercent,
+			sample.rttMs, sample.fps, sample.adjustments, now
+		)));
+	}
+
+	return json({ accepted: samples.length, rejected: body.samples.length - samples.length }, corsHeaders, 202);
+}
+
+export async function getTelemetrySummary(roomId: string | null, env: Env) {
+	// A null roomId summarizes every room
+	const where = roomId ? 'WHERE room_id = ?' : '';
+	const bindings = roomId ? [roomId] : [];
+	const averages = `
+		COUNT(*) AS samples,
+		ROUND(AVG(setup_ms)) AS avgSetupMs,
+		ROUND(AVG(smoothness_score), 1) AS avgSmoothness,
+		MIN(smoothness_score) AS minSmoothness,
+		ROUND(AVG(bitrate_kbps)) AS avgBitrateKbps,
+		ROUND(AVG(loss_percent), 2) AS avgLossPercent,
+		ROUND(AVG(rtt_ms)) AS avgRttMs,
+		ROUND(AVG(fps), 1) AS avgFps,
+		SUM(adjustments) AS adjustments
+	`;
+
+	const [byDeviceType, byPeer] = await env.DB.batch<Record<string, unknown>>([
+		env.DB.prepare(`
+			SELECT device_type AS deviceType, COUNT(DISTINCT room_id || ':' || subject_peer_id) AS peers, ${averages}
+			FROM telemetry ${where}
+			GROUP BY device_type
+			ORDER BY avgSmoothness IS NULL, avgSmoothness ASC
+		`).bind(...bindings),
+		// One row per guest and viewpoint: its own sender stats ('guest') and the host's receiver stats ('host')
+		env.DB.prepare(`
+			SELECT room_id AS roomId, subject_peer_id AS peerId, role AS reportedBy,
+				MAX(device_type) AS deviceType, GROUP_CONCAT(DISTINCT codec) AS codecs,
+				MIN(timestamp) AS firstSeen, MAX(timestamp) AS lastSeen, ${averages}
+			FROM telemetry ${where}
+			GROUP BY room_id, subject_peer_id, role
+			ORDER BY avgSmoothness IS NULL, avgSmoothness ASC, avgLossPercent DESC
+			LIMIT 200
+		`).bind(...bindings),
+	]);
+
+	return {
+		roomId,
+		byDeviceType: byDeviceType.results,
+		byPeer: byPeer.results.map((row) => ({
+			...row,
+			poor: (row.avgSmoothness !== null && (row.avgSmoothness as number) < POOR_SMOOTHNESS) ||
+				(row.avgLossPercent !== null && (row.avgLossPercent as number) > POOR_LOSS_PERCENT) ||
+				(row.avgRttMs !== null && (row.avgRttMs as number) > POOR_RTT_MS)
+		}))
+	};
+}
+
+// Run in bulk by the scheduled cleanup
+export function expiredTelemetry(env: Env, olderThan: number): D1PreparedStatement {
+	return env.DB.prepare(`
+		DELETE FROM telemetry WHERE created_at < ?
+	`).bind(olderThan);
+}
+
+export async function handleTelemetry(request: Request, corsHeaders: Record<string, string>, env: Env): Promise<Response> {
+	const url = new URL(request.url);
+
+	try {
+		if (url.pathname === '/telemetry' && request.method === 'POST') {
+			return await recordTelemetry(request, corsHeaders, env);
+		}
+
+		if (url.pathname === '/telemetry/summary' && request.method === 'GET') {
+			// The host sees its own room
+			const claims = await getTokenClaims(request, env);
+			if (!claims || claims.role !== 'host') {
+				return jsonError(401, 'unauthorized', 'Invalid or missing host token', corsHeaders);
+			}
+			return json(await getTelemetrySummary(claims.roomId, env), corsHeaders);
+		}
+
+		return jsonError(405, 'method_not_allowed', 'Method not allowed', corsHeaders);
+	} catch (error) {
+		console.error('Telemetry error:', error);
+		return jsonError(500, 'internal_error', 'Internal server error', corsHeaders);
+	}
+}
@@ -0,0 +1,78 @@
+/**
+ * Signed room tokens - HMAC-SHA256 over a small JSON payload
+ * Format: base64url(payload).base64url(signature)
+ */
+
+export type TokenRole = 'host' | 'guest' | 'invite' | 'download';
+
+export interface TokenClaims {
+	roomId: string;
+	role: TokenRole;
+	peerId?: string; // Host and guest session tokens are bound to one peer, invites are not
+	inviteId?: string; // Identifies an invite - guest sessions keep the one they joined with, so a kick can revoke it
+	recordingId?: string; // Download tokens are bound to one recording
+	exp: number; // Expiry, milliseconds since epoch
+}
+
+// How long each kind of token stays valid
+export const TOKEN_TTL: Record<TokenRole, number> = {
+	host: 12 * 60 * 60 * 1000,
+	guest: 12 * 60 * 60 * 1000,
+	invite: 24 * 60 * 60 * 1000,
+	download: 60 * 60 * 1000,
+};
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toBase64Url(bytes: Uint8Array): string {
+	let binary = '';
+	for (const byte of bytes) {
+		binary += String.fromCharCode(byte);
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value: string): Uint8Array {
+	const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+	return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function importKey(secret: string): Promise<CryptoKey> {
+	return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+export async function signToken(claims: Omit<TokenClaims, 'exp'>, secret: string, now = Date.now()): Promise<string> {
+	const payload = toBase64Url(encoder.encode(JSON.stringify({ ...claims, exp: now + TOKEN_TTL[claims.role] })));
+	const signature = await crypto.subtle.sign('HMAC', await importKey(secret), encoder.encode(payload));
+
+	return `${payload}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+export async function verifyToken(token: string, secret: string, now = Date.now()): Promise<TokenClaims | null> {
+	const [payload, signature] = token.split('.');
+	if (!payload || !signature) return null;
+
+	try {
+		const valid = await crypto.subtle.verify('HMAC', await importKey(secret), fromBase64Url(signature), encoder.encode(payload));
+		if (!valid) return null;
+
+		const claims = JSON.parse(decoder.decode(fromBase64Url(payload))) as TokenClaims;
+		if (typeof claims.exp !== 'number' || claims.exp < now) return null;
+
+		return claims;
+	} catch {
+		// Malformed base64 or JSON
+		return null;
+	}
+}
+
+// Browsers cannot set headers on WebSocket or EventSource requests, so those pass the token in the query string
+export function getRequestToken(request: Request): string | null {
+	const authorization = request.headers.get('Authorization');
+	if (authorization?.startsWith('Bearer ')) {
+		return authorization.slice('Bearer '.length);
+	}
+
+	return new URL(request.url).searchParams.get('token');
+}
@@ -0,0 +1,71 @@
+/**
+ * Shared types for the signaling worker and the room Durable Object
+ */
+
+import type { SignalingRoom } from './signaling-room';
+
+// Message types stored and relayed to other peers ('reject' turns a guest away from the waiting room)
+export type RelayedMessageType = 'offer' | 'answer' | 'candidate' | 'reject';
+
+// What a peer tells the room about itself when joining
+export interface PeerProfile {
+	displayName: string | null;
+	role: string | null;
+	color: string | null; // #rrggbb avatar color
+}
+
+// RTCSessionDescription as serialized by the browser
+export interface SessionDescriptionData {
+	type: 'offer' | 'answer';
+	sdp: string;
+}
+
+// RTCIceCandidate.toJSON() - an empty candidate marks the end of gathering
+export interface IceCandidateData {
+	candidate: string;
+	sdpMid: string | null;
+	sdpMLineIndex: number | null;
+	usernameFragment: string | null;
+}
+
+export interface RejectData {
+	reason: string | null;
+}
+
+export type SignalingData = SessionDescriptionData | IceCandidateData | RejectData;
+
+// A /signaling request body once validated, see validation.ts
+export interface SignalingMessage {
+	type: 'join' | RelayedMessageType;
+	roomId: string;
+	peerId: string;
+	targetPeer: string | null;
+	profile: PeerProfile; // Only read on join
+	data: SignalingData | null; // Null for join
+}
+
+// Shape of a signaling message as delivered to peers (same as a /messages row)
+export interface RoomMessage {
+	id: number;
+	type: RelayedMessageType;
+	data: string;
+	fromPeerId: string;
+	fromProfile: PeerProfile | null; // Null once the sender has left the room
+	targetPeer: string | null;
+	timestamp: number;
+}
+
+export interface Env {
+	DB: D1Database;
+	RECORDINGS: R2Bucket;
+	SIGNALING_ROOM: DurableObjectNamespace<SignalingRoom>;
+	TURN_KEY_ID: string;
+	TURN_KEY_API_TOKEN: string;
+	TURN_API_BASE?: string; // Defaults to the Cloudflare Calls TURN API
+	ROOM_TOKEN_SECRET: string;
+	ADMIN_SECRET?: string; // Unset disables the admin routes
+	// Retention for the scheduled cleanup, see cleanup.ts for the defaults
+	MESSAGE_RETENTION_MINUTES?: string;
+	PEER_RETENTION_MINUTES?: string;
+	TELEMETRY_RETENTION_DAYS?: string;
+}
@@ -0,0 +1,179 @@
+/**
+ * Validation of /signaling request bodies
+ * Every message variant is checked before anything is stored or relayed to other peers
+ */
+
+import { HttpError } from './http';
+import type { IceCandidateData, PeerProfile, RejectData, SessionDescriptionData, SignalingData, SignalingMessage } from './types';
+
+export const MAX_SIGNALING_BYTES = 64 * 1024;
+const MAX_SDP_LENGTH = 48 * 1024; // Simulcast offers with many codecs run to ~10 KB
+const MAX_CANDIDATE_LENGTH = 1024;
+const MAX_REASON_LENGTH = 200;
+const MESSAGE_TYPES: SignalingMessage['type'][] = ['join', 'offer', 'answer', 'candidate', 'reject'];
+
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+const encoder = new TextEncoder();
+
+export function isValidId(value: unknown): value is string {
+	return typeof value === 'string' && ID_PATTERN.test(value);
+}
+
+function invalid(code: string, message: string): HttpError {
+	return new HttpError(400, code, message);
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+	return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function optionalText(value: unknown, field: string, maxLength: number): string | null {
+	if (value === undefined || value === null) return null;
+	if (typeof value !== 'string' || value.trim().length > maxLength) {
+		throw invalid('invalid_profile', `Invalid profile: ${field} must be a string of at most ${maxLength} characters`);
+	}
+	return value.trim() || null;
+}
+
+// Every profile field is optional - throws for values we won't store
+function parseProfile(profile: unknown): PeerProfile {
+	if (profile === undefined || profile === null) {
+		return { displayName: null, role: null, color: null };
+	}
+	if (!isObject(profile)) {
+		throw invalid('invalid_profile', 'Invalid profile: profile must be an object');
+	}
+
+	const color = optionalText(profile.color, 'color', 7);
+	if (color && !/^#[0-9a-f]{6}$/i.test(color)) {
+		throw invalid('invalid_profile', 'Invalid profile: color must be a #rrggbb hex color');
+	}
+
+	return {
+		displayName: optionalText(profile.displayName, 'displayName', 40),
+		role: optionalText(profile.role, 'role', 30),
+		color
+	};
+}
+
+function parseSessionDescription(data: unknown, type: 'offer' | 'answer'): SessionDescriptionData {
+	if (!isObject(data) || data.type !== type) {
+		throw invalid('invalid_sdp', `An ${type} needs data { type: '${type}', sdp }`);
+	}
+	if (typeof data.sdp !== 'string' || !data.sdp.startsWith('v=0') || data.sdp.length > MAX_SDP_LENGTH) {
+		throw invalid('invalid_sdp', `sdp must be a session description of at most ${MAX_SDP_LENGTH} characters`);
+	}
+	return { type, sdp: data.sdp };
+}
+
+function parseCandidate(data: unknown): IceCandidateData {
+	if (!isObject(data) || typeof data.candidate !== 'string') {
+		throw invalid('invalid_candidate', 'A candidate needs data { candidate, sdpMid, sdpMLineIndex }');
+	}
+	if (data.candidate.length > MAX_CANDIDATE_LENGTH || (data.candidate !== '' && !/^(a=)?candidate:/.test(data.candidate))) {
+		throw invalid('invalid_candidate', 'candidate must be an ICE candidate line or empty');
+	}
+
+	const sdpMid = data.sdpMid ?? null;
+	const sdpMLineIndex = data.sdpMLineIndex ?? null;
+	const usernameFragment = data.usernameFragment ?? null;
+	if (sdpMid !== null && (typeof sdpMid !== 'string' || sdpMid.length > 64)) {
+		throw invalid('invalid_candidate', 'sdpMid must be a string of at most 64 characters');
+	}
+	if (sdpMLineIndex !== null && (!Number.isInteger(sdpMLineIndex) || (sdpMLineIndex as number) < 0 || (sdpMLineIndex as number) > 1024)) {
+		throw invalid('invalid_candidate', 'sdpMLineIndex must be a non-negative integer');
+	}
+	if (usernameFragment !== null && (typeof usernameFragment !== 'string' || usernameFragment.length > 256)) {
+		throw invalid('invalid_candidate', 'usernameFragment must be a string of at most 256 characters');
+	}
+
+	return { candidate: data.candidate, sdpMid, sdpMLineIndex: sdpMLineIndex as number | null, usernameFragment };
+}
+
+function parseReject(data: unknown): RejectData {
+	if (data === undefined || data === null) return { reason: null };
+	if (!isObject(data)) {
+		throw invalid('invalid_reject', 'A rejection needs data { reason }');
+	}
+	if (data.reason !== undefined && (typeof data.reason !== 'string' || data.reason.length > MAX_REASON_LENGTH)) {
+		throw invalid('invalid_reject', `reason must be a string of at most ${MAX_REASON_LENGTH} characters`);
+	}
+	return { reason: (data.reason as string | undefined) ?? null };
+}
+
+function parseData(type: SignalingMessage['type'], data: unknown): SignalingData | null {
+	switch (type) {
+		case 'join':
+			return null;
+		case 'offer':
+		case 'answer':
+			return parseSessionDescription(data, type);
+		case 'candidate':
+			return parseCandidate(data);
+		case 'reject':
+			return parseReject(data);
+	}
+}
+
+export function parseSignalingMessage(body: unknown): SignalingMessage {
+	if (!isObject(body)) {
+		throw invalid('invalid_message', 'Expected a JSON object');
+	}
+
+	const { type, roomId, peerId, targetPeer, profile, data } = body;
+	if (roomId === undefined) {
+		throw invalid('missing_room_id', 'Missing roomId');
+	}
+	if (!isValidId(roomId)) {
+		throw invalid('invalid_room_id', 'roomId must be 1-64 letters, digits, _ or -');
+	}
+	if (peerId === undefined) {
+		throw invalid('missing_peer_id', 'Missing peerId');
+	}
+	if (!isValidId(peerId)) {
+		throw invalid('invalid_peer_id', 'peerId must be 1-64 letters, digits, _ or -');
+	}
+	if (!MESSAGE_TYPES.includes(type as SignalingMessage['type'])) {
+		throw invalid('invalid_type', `type must be one of ${MESSAGE_TYPES.join(', ')}`);
+	}
+	if (targetPeer !== undefined && targetPeer !== null && !isValidId(targetPeer)) {
+		throw invalid('invalid_target_peer', 'targetPeer must be a peer ID or null');
+	}
+
+	const messageType = type as SignalingMessage['type'];
+	if (messageType === 'reject' && !targetPeer) {
+		throw invalid('missing_target_peer', 'Missing targetPeer');
+	}
+
+	return {
+		type: messageType,
+		roomId,
+		peerId,
+		targetPeer: (targetPeer as string | null | undefined) ?? null,
+		profile: messageType === 'join' ? parseProfile(profile) : parseProfile(null),
+		data: parseData(messageType, data)
+	};
+}
+
+// Reads and validates a /signaling body, throwing an HttpError for anything we won't relay
+export async function readSignalingMessage(request: Request): Promise<SignalingMessage> {
+	const declaredLength = parseInt(request.headers.get('Content-Length') || '0');
+	if (declaredLength > MAX_SIGNALING_BYTES) {
+		throw new HttpError(413, 'message_too_large', `Signaling messages are limited to ${MAX_SIGNALING_BYTES} bytes`);
+	}
+
+	const text = await request.text();
+	if (encoder.encode(text).length > MAX_SIGNALING_BYTES) {
+		throw new HttpError(413, 'message_too_large', `Signaling messages are limited to ${MAX_SIGNALING_BYTES} bytes`);
+	}
+
+	let body: unknown;
+	try {
+		body = JSON.parse(text);
+	} catch {
+		throw invalid('invalid_json', 'Invalid JSON');
+	}
+
+	return parseSignalingMessage(body);
+}
@@ -0,0 +1,102 @@
+import { SELF } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { createRoom, joinGuest, poll, signal } from './helpers';
+
+type RoomSummary = { roomId: string; hostPeerId: string; peers: number; activePeers: number; pendingMessages: number; recentSamples: number };
+type RoomDetail = {
+	roomId: string;
+	ended: boolean;
+	peers: { peerId: string; isHost: boolean; joinedAt: number; lastSeen: number; pendingMessages: number }[];
+	telemetry: { byPeer: { peerId: string }[] };
+};
+
+function admin(path: string, method = 'GET', secret = 'test-admin-secret') {
+	return SELF.fetch(`http://example.com/admin${path}`, { method, headers: { Authorization: `Bearer ${secret}` } });
+}
+
+describe('admin', () => {
+	it('requires the admin secret', async () => {
+		const room = await createRoom();
+
+		expect((await SELF.fetch('http://example.com/admin/rooms')).status).toBe(401);
+		expect((await admin('/rooms', 'GET', 'wrong-secret')).status).toBe(401);
+		// Room tokens don't open the admin routes either
+		const withRoomToken = await admin('/rooms', 'GET', room.token);
+		expect(withRoomToken.status).toBe(401);
+		expect(await withRoomToken.json()).toMatchObject({ code: 'unauthorized' });
+	});
+
+	it('rejects a malformed path', async () => {
+		const response = await admin('/rooms/%E0');
+		expect(response.status).toBe(400);
+		expect(await response.json()).toMatchObject({ code: 'invalid_path' });
+	});
+
+	it('lists rooms and their peers with pending messages and telemetry', async () => {
+		const room = await createRoom();
+		const guestToken = await joinGuest(room, 'GUEST_1');
+		await signal({ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', targetPeer: room.peerId, data: { type: 'offer', sdp: 'v=0' } }, guestToken);
+		await SELF.fetch('http://example.com/telemetry', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${guestToken}` },
+			body: JSON.stringify({ deviceType: 'desktop', samples: [{ smoothnessScore: 90 }] }),
+		});
+
+		const { rooms } = (await (await admin('/rooms')).json()) as { rooms: RoomSummary[] };
+		expect(rooms.find((summary) => summary.roomId === room.roomId)).toMatchObject({
+			hostPeerId: room.peerId,
+			peers: 2,
+			activePeers: 2,
+			pendingMessages: 1,
+			recentSamples: 1,
+		});
+
+		const detail = (await (await admin(`/rooms/${room.roomId}`)).json()) as RoomDetail;
+		expect(detail.ended).toBe(false);
+		expect(detail.peers.map((peer) => peer.peerId)).toEqual([room.peerId, 'GUEST_1']);
+		expect(detail.peers[0]).toMatchObject({ isHost: true, pendingMessages: 1 });
+		expect(detail.peers[1]).toMatchObject({ isHost: false, pendingMessages: 0 });
+		expect(detail.peers[1].joinedAt).toBeTypeOf('number');
+		expect(detail.telemetry.byPeer[0]).toMatchObject({ peerId: 'GUEST_1' });
+
+		expect((await admin('/rooms/no-such-room')).status).toBe(404);
+	});
+
+	it('evicts a peer', async () => {
+		const room = await createRoom();
+		const guestToken = await joinGuest(room, 'GUEST_1');
+
+		expect((await admin(`/rooms/${room.roomId}/peers/GUEST_1/evict`, 'POST')).status).toBe(200);
+		expect((await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_1' }, guestToken)).status).toBe(403);
+		expect((await poll(room.roomId, room.peerId, room.token)).m).toEqual([]);
+
+		expect((await admin(`/rooms/${room.roomId}/peers/GUEST_1/evict`, 'POST')).status).toBe(404);
+	});
+
+	it('ends a room and closes every socket', async () => {
+		const room = await createRoom();
+		const guestToken = await joinGuest(room, 'GUEST_1');
+		const response = await SELF.fetch(`http://example.com/ws?roomId=${room.roomId}&peerId=GUEST_1&token=${guestToken}`, {
+			headers: { Upgrade: 'websocket' },
+		});
+		const ws = response.webSocket!;
+		ws.accept();
+		const closed = new Promise<number>((resolve) => ws.addEventListener('close', (event) => resolve(event.code)));
+
+		expect((await admin(`/rooms/${room.roomId}/end`, 'POST')).status).toBe(200);
+		expect(await closed).toBe(4003);
+
+		// Nobody gets back in - not the host, the guest or a new invitee
+		expect((await signal({ type: 'join', roomId: room.roomId, peerId: room.peerId }, room.token)).status).toBe(403);
+		expect((await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_1' }, guestToken)).status).toBe(403);
+		expect((await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_2' }, room.inviteToken)).status).toBe(403);
+		const invite = await SELF.fetch('http://example.com/rooms/invite', {
+			method: 'POST',
+			headers: { Authorization: `Bearer ${room.token}` },
+		});
+		expect(invite.status).toBe(403);
+
+		const detail = (await (await admin(`/rooms/${room.roomId}`)).json()) as RoomDetail;
+		expect(detail).toMatchObject({ ended: true, peers: [] });
+	});
+});
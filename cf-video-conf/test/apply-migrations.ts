@@ -0,0 +1,4 @@
+import { applyD1Migrations, env } from 'cloudflare:test';
+
+// Apply migrations/ to the local D1 database before each test file runs
+await applyD1Migrations(env.DB, env.TEST_MIGRATIONS);
@@ -0,0 +1,88 @@
+import { createExecutionContext, createScheduledController, env, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import worker from '../src/index';
+import type { Env } from '../src/types';
+import { createRoom, joinGuest, signal } from './helpers';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// ROOM_TOKEN_SECRET and ADMIN_SECRET are test bindings, so the generated Env doesn't list them
+const workerEnv = env as unknown as Env;
+
+async function runScheduled(scheduledTime: number, cleanupEnv = workerEnv) {
+	const controller = createScheduledController({ scheduledTime, cron: '*/15 * * * *' });
+	const ctx = createExecutionContext();
+	await worker.scheduled(controller, cleanupEnv, ctx);
+	await waitOnExecutionContext(ctx);
+}
+
+function insertMessage(roomId: string, timestamp: number) {
+	return env.DB.prepare(`
+		INSERT INTO messages (room_id, peer_id, target_peer, type, data, timestamp) VALUES (?, 'GUEST_1', NULL, 'candidate', '{}', ?)
+	`).bind(roomId, timestamp).run();
+}
+
+async function count(sql: string, ...bindings: unknown[]) {
+	const row = await env.DB.prepare(`SELECT COUNT(*) AS count FROM ${sql}`).bind(...bindings).first<{ count: number }>();
+	return row?.count ?? 0;
+}
+
+describe('scheduled cleanup', () => {
+	it('expires old rows in bulk and keeps recent ones', async () => {
+		const now = Date.now();
+
+		await insertMessage('room-a', now - 2 * 60 * MINUTE);
+		await insertMessage('room-a', now - MINUTE);
+		await env.DB.batch([
+			env.DB.prepare(`INSERT INTO peers (room_id, peer_id, is_host, joined_at, last_seen) VALUES ('room-a', 'STALE', 0, ?, ?)`)
+				.bind(now - 3 * 60 * MINUTE, now - 2 * 60 * MINUTE),
+			env.DB.prepare(`INSERT INTO peers (room_id, peer_id, is_host, joined_at, last_seen) VALUES ('room-a', 'ACTIVE', 0, ?, ?)`)
+				.bind(now - 3 * 60 * MINUTE, now - MINUTE),
+			env.DB.prepare(`INSERT INTO rate_limits (key, window_start, count) VALUES ('turn:old', ?, 3), ('turn:new', ?, 1)`)
+				.bind(now - 2 * 60 * MINUTE, now),
+			env.DB.prepare(`
+				INSERT INTO telemetry (room_id, reporter_peer_id, subject_peer_id, role, device_type, timestamp, created_at)
+				VALUES ('room-a', 'GUEST_1', 'GUEST_1', 'guest', 'desktop', ?, ?), ('room-a', 'GUEST_1', 'GUEST_1', 'guest', 'desktop', ?, ?)
+			`).bind(now - 31 * DAY, now - 31 * DAY, now - DAY, now - DAY),
+			env.DB.prepare(`INSERT INTO kicked_peers (room_id, peer_id, kicked_at) VALUES ('room-a', 'OLD_KICK', ?), ('room-a', 'NEW_KICK', ?)`)
+				.bind(now - 2 * DAY, now - MINUTE),
+		]);
+
+		await runScheduled(now);
+
+		expect(await count(`messages WHERE room_id = 'room-a'`)).toBe(1);
+		expect(await count(`peers WHERE room_id = 'room-a' AND peer_id = 'ACTIVE'`)).toBe(1);
+		expect(await count(`peers WHERE room_id = 'room-a' AND peer_id = 'STALE'`)).toBe(0);
+		expect(await count(`rate_limits WHERE key LIKE 'turn:%'`)).toBe(1);
+		expect(await count(`telemetry WHERE room_id = 'room-a'`)).toBe(1);
+		expect(await count(`kicked_peers WHERE room_id = 'room-a'`)).toBe(1);
+	});
+
+	it('reads the retention from the environment', async () => {
+		const now = Date.now();
+		await insertMessage('room-b', now - 10 * MINUTE);
+
+		// The default keeps messages for an hour
+		await runScheduled(now);
+		expect(await count(`messages WHERE room_id = 'room-b'`)).toBe(1);
+
+		await runScheduled(now, { ...workerEnv, MESSAGE_RETENTION_MINUTES: '5' });
+		expect(await count(`messages WHERE room_id = 'room-b'`)).toBe(0);
+
+		// Values that aren't positive numbers fall back to the default
+		await insertMessage('room-b', now - 10 * MINUTE);
+		await runScheduled(now, { ...workerEnv, MESSAGE_RETENTION_MINUTES: 'soon' });
+		expect(await count(`messages WHERE room_id = 'room-b'`)).toBe(1);
+	});
+
+	it('leaves expiry to the schedule when signaling', async () => {
+		const room = await createRoom();
+		const guestToken = await joinGuest(room, 'GUEST_1');
+		await insertMessage(room.roomId, Date.now() - 2 * 60 * MINUTE);
+
+		await signal({ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', data: { type: 'offer', sdp: 'v=0' } }, guestToken);
+
+		expect(await count(`messages WHERE room_id = ?`, room.roomId)).toBe(2);
+	});
+});
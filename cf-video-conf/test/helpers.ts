@@ -0,0 +1,47 @@
+/**
+ * Request helpers shared by the worker test suites
+ */
+
+import { SELF } from 'cloudflare:test';
+
+export type Room = { roomId: string; peerId: string; token: string; inviteToken: string };
+
+export function signal(body: Record<string, unknown>, token?: string) {
+	return SELF.fetch('http://example.com/signaling', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+		body: JSON.stringify(body),
+	});
+}
+
+export async function createRoom(): Promise<Room> {
+	const room = (await (await SELF.fetch('http://example.com/rooms', { method: 'POST' })).json()) as Room;
+	await signal({ type: 'join', roomId: room.roomId, peerId: room.peerId }, room.token);
+	return room;
+}
+
+// Exchanges the room invite for a guest session token
+export async function joinGuest(room: Room, peerId: string) {
+	const response = await signal({ type: 'join', roomId: room.roomId, peerId }, room.inviteToken);
+	return ((await response.json()) as { token: string }).token;
+}
+
+export async function poll(roomId: string, peerId: string, token: string, after = 0) {
+	const response = await SELF.fetch(`http://example.com/messages?roomId=${roomId}&peerId=${peerId}&after=${after}`, {
+		headers: { Authorization: `Bearer ${token}` },
+	});
+	return (await response.json()) as {
+		m: { id: number; type: string; fromPeerId: string; fromProfile: unknown; timestamp: number }[];
+		t: number;
+		cursor: number;
+		more: boolean;
+	};
+}
+
+export function ack(roomId: string, peerId: string, token: string, id: number) {
+	return SELF.fetch('http://example.com/messages/ack', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+		body: JSON.stringify({ roomId, peerId, id }),
+	});
+}
@@ -1,41 +1,556 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
+import { env, SELF } from 'cloudflare:test';
 import { describe, it, expect } from 'vitest';
-import worker from '../src';
-
-describe('Hello World user worker', () => {
-	describe('request for /message', () => {
-		it('/ responds with "Hello, World!" (unit style)', async () => {
-			const request = new Request<unknown, IncomingRequestCfProperties>('http://example.com/message');
-			// Create an empty context to pass to `worker.fetch()`.
-			const ctx = createExecutionContext();
-			const response = await worker.fetch(request, env, ctx);
-			// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-			await waitOnExecutionContext(ctx);
-			expect(await response.text()).toMatchInlineSnapshot(`"Hello, World!"`);
-		});
-
-		it('responds with "Hello, World!" (integration style)', async () => {
-			const request = new Request('http://example.com/message');
-			const response = await SELF.fetch(request);
-			expect(await response.text()).toMatchInlineSnapshot(`"Hello, World!"`);
-		});
-	});
-
-	describe('request for /random', () => {
-		it('/ responds with a random UUID (unit style)', async () => {
-			const request = new Request<unknown, IncomingRequestCfProperties>('http://example.com/random');
-			// Create an empty context to pass to `worker.fetch()`.
-			const ctx = createExecutionContext();
-			const response = await worker.fetch(request, env, ctx);
-			// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-			await waitOnExecutionContext(ctx);
-			expect(await response.text()).toMatch(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/);
-		});
-
-		it('responds with a random UUID (integration style)', async () => {
-			const request = new Request('http://example.com/random');
-			const response = await SELF.fetch(request);
-			expect(await response.text()).toMatch(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/);
+import { ack, createRoom, joinGuest, poll, signal } from './helpers';
+
+describe('Signaling worker', () => {
+	describe('rooms', () => {
+		it('rejects signaling without a roomId', async () => {
+			const room = await createRoom();
+			const response = await signal({ type: 'join', peerId: 'GUEST_1' }, room.inviteToken);
+			expect(response.status).toBe(400);
+			expect(await response.json()).toEqual({ error: 'Missing roomId', code: 'missing_room_id' });
+		});
+
+		it('counts peers per room', async () => {
+			const roomA = await createRoom();
+			await createRoom();
+
+			const response = await signal({ type: 'join', roomId: roomA.roomId, peerId: 'GUEST_1' }, roomA.inviteToken);
+			expect(await response.json()).toMatchObject({ success: true, isInitiator: false, peerCount: 2 });
+		});
+
+		it('only delivers messages to peers in the same room', async () => {
+			const roomA = await createRoom();
+			const roomB = await createRoom();
+			const guestToken = await joinGuest(roomA, 'GUEST_1');
+			await signal({ type: 'offer', roomId: roomA.roomId, peerId: 'GUEST_1', data: { type: 'offer', sdp: 'v=0' } }, guestToken);
+
+			expect((await poll(roomA.roomId, roomA.peerId, roomA.token)).m).toMatchObject([{ type: 'offer', fromPeerId: 'GUEST_1' }]);
+			expect((await poll(roomB.roomId, roomB.peerId, roomB.token)).m).toEqual([]);
+		});
+
+		it('resets only the host room when a host starts a session', async () => {
+			const roomA = await createRoom();
+			const roomB = await createRoom();
+			const guestA = await joinGuest(roomA, 'GUEST_1');
+			const guestB = await joinGuest(roomB, 'GUEST_2');
+			await signal({ type: 'offer', roomId: roomA.roomId, peerId: 'GUEST_1', data: { type: 'offer', sdp: 'v=0' } }, guestA);
+			await signal({ type: 'offer', roomId: roomB.roomId, peerId: 'GUEST_2', data: { type: 'offer', sdp: 'v=0' } }, guestB);
+
+			await signal({ type: 'join', roomId: roomA.roomId, peerId: roomA.peerId }, roomA.token);
+
+			expect((await poll(roomA.roomId, roomA.peerId, roomA.token)).m).toEqual([]);
+			expect((await poll(roomB.roomId, roomB.peerId, roomB.token)).m).toHaveLength(1);
+		});
+	});
+
+	describe('access tokens', () => {
+		it('rejects signaling without a valid token', async () => {
+			const room = await createRoom();
+
+			const missing = await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_1' });
+			expect(missing.status).toBe(401);
+
+			const forged = await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_1' }, `${room.inviteToken}x`);
+			expect(forged.status).toBe(401);
+		});
+
+		it('does not accept a token from another room', async () => {
+			const roomA = await createRoom();
+			const roomB = await createRoom();
+
+			const response = await signal({ type: 'join', roomId: roomB.roomId, peerId: 'GUEST_1' }, roomA.inviteToken);
+			expect(response.status).toBe(401);
+		});
+
+		it('requires a session token to send messages', async () => {
+			const room = await createRoom();
+
+			const response = await signal(
+				{ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', data: { type: 'offer', sdp: 'v=0' } },
+				room.inviteToken,
+			);
+			expect(response.status).toBe(401);
+		});
+
+		it('binds guest tokens to their peer', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+
+			const impersonated = await signal(
+				{ type: 'answer', roomId: room.roomId, peerId: room.peerId, data: { type: 'answer', sdp: 'v=0' } },
+				guestToken,
+			);
+			expect(impersonated.status).toBe(401);
+
+			const polled = await SELF.fetch(`http://example.com/messages?roomId=${room.roomId}&peerId=${room.peerId}&after=0`, {
+				headers: { Authorization: `Bearer ${guestToken}` },
+			});
+			expect(polled.status).toBe(401);
+		});
+
+		it('does not let a guest reset the room or take over a joined peer', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			await signal({ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', data: { type: 'offer', sdp: 'v=0' } }, guestToken);
+
+			const takeover = await signal({ type: 'join', roomId: room.roomId, peerId: room.peerId }, room.inviteToken);
+			expect(takeover.status).toBe(409);
+
+			// A HOST_ prefix no longer grants host privileges
+			await signal({ type: 'join', roomId: room.roomId, peerId: 'HOST_fake' }, room.inviteToken);
+			expect((await poll(room.roomId, room.peerId, room.token)).m).toHaveLength(1);
+		});
+
+		it('issues fresh invites only to the host', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+
+			const denied = await SELF.fetch('http://example.com/rooms/invite', {
+				method: 'POST',
+				headers: { Authorization: `Bearer ${guestToken}` },
+			});
+			expect(denied.status).toBe(401);
+
+			const issued = await SELF.fetch('http://example.com/rooms/invite', {
+				method: 'POST',
+				headers: { Authorization: `Bearer ${room.token}` },
+			});
+			const { inviteToken } = (await issued.json()) as { inviteToken: string };
+			expect((await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_2' }, inviteToken)).status).toBe(200);
+		});
+
+		it('requires a session token for TURN credentials', async () => {
+			const room = await createRoom();
+
+			const response = await SELF.fetch('http://example.com/turn-credentials', {
+				method: 'POST',
+				headers: { Authorization: `Bearer ${room.inviteToken}` },
+			});
+			expect(response.status).toBe(401);
+		});
+	});
+
+	describe('addressed delivery', () => {
+		it('returns the room host to joining guests', async () => {
+			const room = await createRoom();
+
+			const response = await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_1' }, room.inviteToken);
+			expect(await response.json()).toMatchObject({ hostPeerId: room.peerId });
+		});
+
+		it('only delivers targeted messages to their recipient', async () => {
+			const room = await createRoom();
+			const guest1 = await joinGuest(room, 'GUEST_1');
+			const guest2 = await joinGuest(room, 'GUEST_2');
+			await signal(
+				{ type: 'answer', roomId: room.roomId, peerId: room.peerId, targetPeer: 'GUEST_1', data: { type: 'answer', sdp: 'v=0' } },
+				room.token,
+			);
+			await signal({ type: 'candidate', roomId: room.roomId, peerId: room.peerId, data: { candidate: '' } }, room.token);
+
+			expect((await poll(room.roomId, 'GUEST_1', guest1)).m).toMatchObject([{ type: 'answer' }, { type: 'candidate' }]);
+			expect((await poll(room.roomId, 'GUEST_2', guest2)).m).toMatchObject([{ type: 'candidate' }]);
+		});
+	});
+
+	describe('delivery', () => {
+		const candidate = (n: number) => ({ candidate: `candidate:${n} 1 udp 2122260223 192.0.2.1 ${50000 + n} typ host`, sdpMid: '0', sdpMLineIndex: 0 });
+
+		it('pages through a backlog by message id', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			for (let n = 0; n < 55; n++) {
+				await signal({ type: 'candidate', roomId: room.roomId, peerId: 'GUEST_1', targetPeer: room.peerId, data: candidate(n) }, guestToken);
+			}
+
+			const first = await poll(room.roomId, room.peerId, room.token);
+			expect(first.m).toHaveLength(50);
+			expect(first.more).toBe(true);
+			expect(first.cursor).toBe(first.m[49].id);
+
+			const second = await poll(room.roomId, room.peerId, room.token, first.cursor);
+			expect(second.m).toHaveLength(5);
+			expect(second.more).toBe(false);
+
+			// Ids never repeat, even for messages stored in the same millisecond
+			const ids = [...first.m, ...second.m].map((message) => message.id);
+			expect(new Set(ids).size).toBe(55);
+			expect(ids).toEqual([...ids].sort((a, b) => a - b));
+		});
+
+		it('never redelivers acknowledged messages', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			await signal({ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', targetPeer: room.peerId, data: { type: 'offer', sdp: 'v=0' } }, guestToken);
+
+			const { m, cursor } = await poll(room.roomId, room.peerId, room.token);
+			expect(m).toHaveLength(1);
+
+			const acked = await ack(room.roomId, room.peerId, room.token, cursor);
+			expect(await acked.json()).toEqual({ success: true, acked: cursor });
+
+			// A reloaded page polling from the start doesn't get it again
+			expect((await poll(room.roomId, room.peerId, room.token)).m).toEqual([]);
+		});
+
+		it("keeps a guest's cursor across a rejoin", async () => {
+			const room = await createRoom();
+			const guest1 = await joinGuest(room, 'GUEST_1');
+			await joinGuest(room, 'GUEST_2');
+			await signal({ type: 'candidate', roomId: room.roomId, peerId: room.peerId, data: candidate(1) }, room.token);
+
+			await ack(room.roomId, 'GUEST_1', guest1, (await poll(room.roomId, 'GUEST_1', guest1)).cursor);
+			await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_1' }, guest1);
+
+			// The broadcast is still stored for GUEST_2, but GUEST_1 doesn't get it again
+			const stored = await env.DB.prepare(`SELECT COUNT(*) AS count FROM messages WHERE room_id = ?`).bind(room.roomId).first<{ count: number }>();
+			expect(stored?.count).toBe(1);
+			expect((await poll(room.roomId, 'GUEST_1', guest1)).m).toEqual([]);
+		});
+
+		it("starts the host's rejoin from a reset room", async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			await signal({ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', targetPeer: room.peerId, data: { type: 'offer', sdp: 'v=0' } }, guestToken);
+			const { cursor } = await poll(room.roomId, room.peerId, room.token);
+			await ack(room.roomId, room.peerId, room.token, cursor);
+
+			// The host's join clears the room and its cursor - old messages are gone rather than replayed
+			await signal({ type: 'join', roomId: room.roomId, peerId: room.peerId }, room.token);
+			expect((await poll(room.roomId, room.peerId, room.token)).m).toEqual([]);
+
+			// Ids keep growing, so the new session's messages are past any cursor a page still holds
+			const rejoinedToken = await joinGuest(room, 'GUEST_1');
+			await signal({ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', targetPeer: room.peerId, data: { type: 'offer', sdp: 'v=0' } }, rejoinedToken);
+			const { m } = await poll(room.roomId, room.peerId, room.token, cursor);
+			expect(m).toHaveLength(1);
+			expect(m[0].id).toBeGreaterThan(cursor);
+		});
+
+		it('deletes addressed messages on ack and broadcasts once every peer acked', async () => {
+			const room = await createRoom();
+			const guest1 = await joinGuest(room, 'GUEST_1');
+			const guest2 = await joinGuest(room, 'GUEST_2');
+			await signal(
+				{ type: 'answer', roomId: room.roomId, peerId: room.peerId, targetPeer: 'GUEST_1', data: { type: 'answer', sdp: 'v=0' } },
+				room.token,
+			);
+			await signal({ type: 'candidate', roomId: room.roomId, peerId: room.peerId, data: candidate(1) }, room.token);
+			const stored = () => env.DB.prepare(`SELECT type FROM messages WHERE room_id = ? ORDER BY id`).bind(room.roomId).all<{ type: string }>();
+
+			const { cursor } = await poll(room.roomId, 'GUEST_1', guest1);
+			await ack(room.roomId, 'GUEST_1', guest1, cursor);
+			expect((await stored()).results).toEqual([{ type: 'candidate' }]);
+
+			await ack(room.roomId, 'GUEST_2', guest2, (await poll(room.roomId, 'GUEST_2', guest2)).cursor);
+			expect((await stored()).results).toEqual([]);
+		});
+
+		it('keeps backlogs and errors out of shared caches', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			const url = `http://example.com/messages?roomId=${room.roomId}&peerId=${room.peerId}&after=0`;
+
+			const polled = await SELF.fetch(url, { headers: { Authorization: `Bearer ${room.token}` } });
+			expect(polled.headers.get('Cache-Control')).toBe('no-store');
+			await polled.arrayBuffer();
+
+			const denied = await SELF.fetch(url, { headers: { Authorization: `Bearer ${guestToken}` } });
+			expect(denied.headers.get('Cache-Control')).toBe('no-store');
+			await denied.arrayBuffer();
+
+			const acked = await ack(room.roomId, room.peerId, room.token, 1);
+			expect(acked.headers.get('Cache-Control')).toBe('no-store');
+			await acked.arrayBuffer();
+		});
+
+		it('only takes acks for the caller with a valid id', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+
+			expect((await ack(room.roomId, room.peerId, guestToken, 1)).status).toBe(401);
+			const invalid = await ack(room.roomId, 'GUEST_1', guestToken, 0);
+			expect(invalid.status).toBe(400);
+			expect(await invalid.json()).toMatchObject({ code: 'invalid_ack' });
+		});
+	});
+
+	describe('waiting room', () => {
+		it('lets the host reject a waiting guest', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			await signal({ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', data: { type: 'offer', sdp: 'v=0' } }, guestToken);
+
+			const response = await signal(
+				{ type: 'reject', roomId: room.roomId, peerId: room.peerId, targetPeer: 'GUEST_1', data: { reason: 'Not today' } },
+				room.token,
+			);
+			expect(response.status).toBe(200);
+			expect((await poll(room.roomId, 'GUEST_1', guestToken)).m).toMatchObject([{ type: 'reject', fromPeerId: room.peerId }]);
+		});
+
+		it('only accepts rejections from the host', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			await joinGuest(room, 'GUEST_2');
+
+			const response = await signal({ type: 'reject', roomId: room.roomId, peerId: 'GUEST_1', targetPeer: 'GUEST_2' }, guestToken);
+			expect(response.status).toBe(401);
+		});
+
+		it('requires a target for rejections', async () => {
+			const room = await createRoom();
+
+			const response = await signal({ type: 'reject', roomId: room.roomId, peerId: room.peerId }, room.token);
+			expect(response.status).toBe(400);
+		});
+	});
+
+	describe('validation', () => {
+		async function expectError(response: Response, status: number, code: string) {
+			expect(response.status).toBe(status);
+			expect(response.headers.get('Content-Type')).toBe('application/json');
+			expect(await response.json()).toMatchObject({ code, error: expect.any(String) });
+		}
+
+		it('rejects malformed IDs, types and bodies with error codes', async () => {
+			const room = await createRoom();
+
+			await expectError(await signal({ type: 'join', roomId: room.roomId, peerId: 'x'.repeat(65) }, room.inviteToken), 400, 'invalid_peer_id');
+			await expectError(await signal({ type: 'join', roomId: 'room a', peerId: 'GUEST_1' }, room.inviteToken), 400, 'invalid_room_id');
+			await expectError(await signal({ type: 'hello', roomId: room.roomId, peerId: 'GUEST_1' }, room.inviteToken), 400, 'invalid_type');
+			await expectError(
+				await signal({ type: 'offer', roomId: room.roomId, peerId: room.peerId, targetPeer: 42, data: { type: 'offer', sdp: 'v=0' } }, room.token),
+				400,
+				'invalid_target_peer',
+			);
+
+			const notJson = await SELF.fetch('http://example.com/signaling', {
+				method: 'POST',
+				headers: { Authorization: `Bearer ${room.token}` },
+				body: '{"type":',
+			});
+			await expectError(notJson, 400, 'invalid_json');
+		});
+
+		it('authenticates before validating the body', async () => {
+			const room = await createRoom();
+			const offer = { type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', data: { type: 'offer', sdp: 'hello' } };
+
+			await expectError(await SELF.fetch('http://example.com/signaling', { method: 'POST', body: JSON.stringify(offer) }), 401, 'unauthorized');
+			const oversized = { ...offer, data: { type: 'offer', sdp: `v=0${'a'.repeat(70 * 1024)}` } };
+			await expectError(await SELF.fetch('http://example.com/signaling', { method: 'POST', body: JSON.stringify(oversized) }), 401, 'unauthorized');
+		});
+
+		it('checks the shape of descriptions, candidates and rejections', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			const send = (type: string, data: unknown, token = guestToken, peerId = 'GUEST_1') =>
+				signal({ type, roomId: room.roomId, peerId, targetPeer: peerId === 'GUEST_1' ? room.peerId : 'GUEST_1', data }, token);
+
+			await expectError(await send('offer', { type: 'answer', sdp: 'v=0' }), 400, 'invalid_sdp');
+			await expectError(await send('offer', { type: 'offer', sdp: 'hello' }), 400, 'invalid_sdp');
+			await expectError(await send('answer', undefined, room.token, room.peerId), 400, 'invalid_sdp');
+			await expectError(await send('candidate', { candidate: 'not a candidate' }), 400, 'invalid_candidate');
+			await expectError(await send('candidate', { candidate: '', sdpMLineIndex: -1 }), 400, 'invalid_candidate');
+			await expectError(await send('reject', { reason: 'x'.repeat(201) }, room.token, room.peerId), 400, 'invalid_reject');
+
+			// Only the validated fields are relayed
+			expect((await send('offer', { type: 'offer', sdp: 'v=0', extra: 'dropped' })).status).toBe(200);
+			const [offer] = (await poll(room.roomId, room.peerId, room.token)).m as unknown as { data: string }[];
+			expect(JSON.parse(offer.data)).toEqual({ type: 'offer', sdp: 'v=0' });
+		});
+
+		it('limits the message size', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+
+			const response = await signal(
+				{ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', data: { type: 'offer', sdp: `v=0${'a'.repeat(70 * 1024)}` } },
+				guestToken,
+			);
+			await expectError(response, 413, 'message_too_large');
+		});
+
+		it('answers unknown routes and removed peers with the same envelope', async () => {
+			await expectError(await SELF.fetch('http://example.com/nope'), 404, 'not_found');
+			await expectError(await SELF.fetch('http://example.com/messages?roomId=room-a'), 400, 'invalid_peer_id');
+			await expectError(await SELF.fetch('http://example.com/messages?roomId=room-a&peerId=GUEST_1'), 401, 'unauthorized');
+		});
+	});
+
+	describe('profiles', () => {
+		it('attaches the sender profile to messages', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			await signal(
+				{ type: 'join', roomId: room.roomId, peerId: 'GUEST_1', profile: { displayName: ' Ada ', role: 'Speaker', color: '#ff8800' } },
+				guestToken,
+			);
+			await signal({ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', data: { type: 'offer', sdp: 'v=0' } }, guestToken);
+
+			expect((await poll(room.roomId, room.peerId, room.token)).m).toMatchObject([
+				{ type: 'offer', fromProfile: { displayName: 'Ada', role: 'Speaker', color: '#ff8800' } },
+			]);
+		});
+
+		it('rejects invalid profiles', async () => {
+			const room = await createRoom();
+
+			for (const profile of [{ color: 'red' }, { displayName: 'x'.repeat(41) }, { role: 42 }]) {
+				const response = await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_1', profile }, room.inviteToken);
+				expect(response.status).toBe(400);
+				expect(await response.json()).toMatchObject({ code: 'invalid_profile' });
+			}
+		});
+	});
+
+	describe('kick', () => {
+		function kick(token: string, peerId: string) {
+			return SELF.fetch('http://example.com/rooms/kick', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+				body: JSON.stringify({ peerId }),
+			});
+		}
+
+		it('only lets the host kick', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			await joinGuest(room, 'GUEST_2');
+
+			expect((await kick(guestToken, 'GUEST_2')).status).toBe(401);
+			expect((await kick(room.token, room.peerId)).status).toBe(400);
+		});
+
+		it('removes the guest and keeps it out of the room', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			await signal({ type: 'offer', roomId: room.roomId, peerId: 'GUEST_1', data: { type: 'offer', sdp: 'v=0' } }, guestToken);
+
+			expect((await kick(room.token, 'GUEST_1')).status).toBe(200);
+
+			// Its pending signaling is gone and its session no longer works
+			expect((await poll(room.roomId, room.peerId, room.token)).m).toEqual([]);
+			const polled = await SELF.fetch(`http://example.com/messages?roomId=${room.roomId}&peerId=GUEST_1&after=0`, {
+				headers: { Authorization: `Bearer ${guestToken}` },
+			});
+			expect(polled.status).toBe(403);
+			expect((await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_1' }, guestToken)).status).toBe(403);
+			expect((await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_1' }, room.inviteToken)).status).toBe(403);
+		});
+
+		it('revokes the invite the guest joined with', async () => {
+			const room = await createRoom();
+			await joinGuest(room, 'GUEST_1');
+			const guestToken = await joinGuest(room, 'GUEST_2');
+
+			const response = await kick(room.token, 'GUEST_1');
+			const { inviteToken } = await response.json<{ inviteToken: string }>();
+
+			// The invite can't be reused under a new peer ID, the replacement can
+			const rejoin = await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_3' }, room.inviteToken);
+			expect(rejoin.status).toBe(403);
+			expect((await rejoin.json<{ code: string }>()).code).toBe('invite_revoked');
+			expect((await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_3' }, inviteToken)).status).toBe(200);
+
+			// Guests already in the room keep their sessions
+			expect((await signal({ type: 'join', roomId: room.roomId, peerId: 'GUEST_2' }, guestToken)).status).toBe(200);
+		});
+
+		it('closes the kicked guest socket', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			const response = await SELF.fetch(`http://example.com/ws?roomId=${room.roomId}&peerId=GUEST_1&token=${guestToken}`, {
+				headers: { Upgrade: 'websocket' },
+			});
+			const ws = response.webSocket!;
+			ws.accept();
+			const closed = new Promise<number>((resolve) => ws.addEventListener('close', (event) => resolve(event.code)));
+
+			await kick(room.token, 'GUEST_1');
+
+			expect(await closed).toBe(4003);
+		});
+	});
+
+	describe('websocket', () => {
+		it('requires a WebSocket upgrade', async () => {
+			const response = await SELF.fetch('http://example.com/ws?roomId=room-a&peerId=GUEST_1');
+			expect(response.status).toBe(426);
+		});
+
+		it('rejects sockets without a session token', async () => {
+			const room = await createRoom();
+
+			const response = await SELF.fetch(`http://example.com/ws?roomId=${room.roomId}&peerId=GUEST_1`, {
+				headers: { Upgrade: 'websocket' },
+			});
+			expect(response.status).toBe(401);
+		});
+
+		it('pushes addressed messages to the recipient socket', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			const response = await SELF.fetch(`http://example.com/ws?roomId=${room.roomId}&peerId=GUEST_1&token=${guestToken}`, {
+				headers: { Upgrade: 'websocket' },
+			});
+			expect(response.status).toBe(101);
+
+			const ws = response.webSocket!;
+			ws.accept();
+			const received = new Promise<{ type: string; fromPeerId: string }>((resolve) => {
+				ws.addEventListener('message', (event) => resolve(JSON.parse(event.data as string)));
+			});
+
+			await signal(
+				{ type: 'answer', roomId: room.roomId, peerId: room.peerId, targetPeer: 'GUEST_1', data: { type: 'answer', sdp: 'v=0' } },
+				room.token,
+			);
+
+			expect(await received).toMatchObject({ type: 'answer', fromPeerId: room.peerId, targetPeer: 'GUEST_1' });
+			ws.close();
+		});
+	});
+
+	describe('event stream', () => {
+		async function readUntil(reader: ReadableStreamDefaultReader<Uint8Array>, text: string) {
+			const decoder = new TextDecoder();
+			let received = '';
+			while (!received.includes(text)) {
+				const { value, done } = await reader.read();
+				if (done) break;
+				received += decoder.decode(value);
+			}
+			return received;
+		}
+
+		it('replays the backlog after Last-Event-ID and streams new messages', async () => {
+			const room = await createRoom();
+			const guestToken = await joinGuest(room, 'GUEST_1');
+			const send = (data: Record<string, unknown>, type = 'candidate') =>
+				signal({ type, roomId: room.roomId, peerId: 'GUEST_1', targetPeer: room.peerId, data }, guestToken);
+
+			await send({ type: 'offer', sdp: 'v=0' }, 'offer');
+			const { m } = await poll(room.roomId, room.peerId, room.token);
+
+			await send({ candidate: 'candidate:1 1 udp 2122260223 192.0.2.1 54400 typ host', sdpMid: '0', sdpMLineIndex: 0 });
+
+			const response = await SELF.fetch(
+				`http://example.com/messages/stream?roomId=${room.roomId}&peerId=${room.peerId}&token=${room.token}`,
+				{ headers: { 'Last-Event-ID': String(m[0].id) } },
+			);
+			expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+
+			const reader = response.body!.getReader();
+			const backlog = await readUntil(reader, '"type":"candidate"');
+			expect(backlog).not.toContain('"type":"offer"');
+
+			await send({ candidate: 'candidate:2 1 udp 1686052607 198.51.100.7 61000 typ srflx', sdpMid: '0', sdpMLineIndex: 0 });
+			expect(await readUntil(reader, 'typ srflx')).toContain('data: ');
+
+			await reader.cancel();
 		});
 	});
 });
@@ -0,0 +1,155 @@
+import { SELF, env } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { createRoom, joinGuest } from './helpers';
+
+const PART_SIZE = 5 * 1024 * 1024;
+
+type Recording = { id: string; status: string; size: number; downloadUrl: string | null; parts?: { part_number: number }[] };
+
+function request(path: string, token: string, init: RequestInit = {}) {
+	return SELF.fetch(`http://example.com${path}`, {
+		...init,
+		headers: { Authorization: `Bearer ${token}`, ...init.headers },
+	});
+}
+
+async function startRecording(token: string, sessionId = 'session-1') {
+	const response = await request('/recordings', token, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({ sessionId, name: 'session', contentType: 'video/webm;codecs=vp8,opus' }),
+	});
+	expect(response.status).toBe(201);
+	return (await response.json()) as { id: string; partSize: number };
+}
+
+function uploadPart(token: string, id: string, partNumber: number, body: Uint8Array) {
+	return request(`/recordings/${id}/parts/${partNumber}`, token, { method: 'PUT', body });
+}
+
+describe('recordings', () => {
+	it('uploads a recording in parts and serves it through a signed link', async () => {
+		const room = await createRoom();
+		const { id, partSize } = await startRecording(room.token);
+		expect(partSize).toBe(PART_SIZE);
+
+		expect((await uploadPart(room.token, id, 1, new Uint8Array(PART_SIZE).fill(1))).status).toBe(200);
+		expect((await uploadPart(room.token, id, 2, new Uint8Array([2, 2, 2]))).status).toBe(200);
+
+		const complete = await request(`/recordings/${id}/complete`, room.token, { method: 'POST' });
+		expect(complete.status).toBe(200);
+		const recording = (await complete.json()) as Recording;
+		expect(recording).toMatchObject({ status: 'complete', size: PART_SIZE + 3 });
+
+		const list = (await (await request('/recordings', room.token)).json()) as { recordings: Recording[] };
+		expect(list.recordings.map((item) => item.id)).toEqual([id]);
+
+		// The link carries its own token, so no Authorization header is needed
+		const download = await SELF.fetch(`http://example.com${recording.downloadUrl}`);
+		expect(download.status).toBe(200);
+		expect(download.headers.get('Content-Type')).toBe('video/webm;codecs=vp8,opus');
+		expect(download.headers.get('Content-Disposition')).toContain('attachment');
+		const bytes = new Uint8Array(await download.arrayBuffer());
+		expect(bytes.length).toBe(PART_SIZE + 3);
+		expect(bytes[bytes.length - 1]).toBe(2);
+
+		const object = await env.RECORDINGS.head(`rooms/${room.roomId}/session-1/${id}.webm`);
+		expect(object?.size).toBe(PART_SIZE + 3);
+	});
+
+	it('reports uploaded parts so an interrupted upload can resume', async () => {
+		const room = await createRoom();
+		const { id } = await startRecording(room.token);
+
+		await uploadPart(room.token, id, 1, new Uint8Array(PART_SIZE));
+
+		const status = (await (await request(`/recordings/${id}`, room.token)).json()) as Recording;
+		expect(status.status).toBe('uploading');
+		expect(status.parts?.map((part) => part.part_number)).toEqual([1]);
+		expect(status.downloadUrl).toBeNull();
+
+		// Retrying the same part replaces it
+		expect((await uploadPart(room.token, id, 1, new Uint8Array(PART_SIZE))).status).toBe(200);
+		expect((await request(`/recordings/${id}/complete`, room.token, { method: 'POST' })).status).toBe(200);
+	});
+
+	it('refuses to complete with missing or short parts', async () => {
+		const room = await createRoom();
+		const { id } = await startRecording(room.token);
+
+		await uploadPart(room.token, id, 1, new Uint8Array(10));
+		await uploadPart(room.token, id, 2, new Uint8Array(10));
+
+		const response = await request(`/recordings/${id}/complete`, room.token, { method: 'POST' });
+		expect(response.status).toBe(409);
+		expect(await response.json()).toMatchObject({ code: 'incomplete_upload' });
+	});
+
+	it('discards recordings that never uploaded a part', async () => {
+		const room = await createRoom();
+		const { id } = await startRecording(room.token);
+
+		const response = await request(`/recordings/${id}/complete`, room.token, { method: 'POST' });
+		expect(await response.json()).toMatchObject({ status: 'discarded' });
+		expect((await request(`/recordings/${id}`, room.token)).status).toBe(404);
+	});
+
+	it('rejects oversized parts', async () => {
+		const room = await createRoom();
+		const { id } = await startRecording(room.token);
+
+		const response = await uploadPart(room.token, id, 1, new Uint8Array(PART_SIZE + 1));
+		expect(response.status).toBe(413);
+		expect(await response.json()).toMatchObject({ code: 'invalid_part_size' });
+	});
+
+	it('is only available to the host of the room', async () => {
+		const room = await createRoom();
+		const guestToken = await joinGuest(room, 'GUEST_1');
+		const { id } = await startRecording(room.token);
+
+		expect((await request('/recordings', guestToken)).status).toBe(401);
+
+		// Another room's host cannot see this room's recordings
+		const otherRoom = await createRoom();
+		expect((await request(`/recordings/${id}`, otherRoom.token)).status).toBe(404);
+	});
+
+	it('closes with the room', async () => {
+		const room = await createRoom();
+		await startRecording(room.token);
+
+		await SELF.fetch(`http://example.com/admin/rooms/${room.roomId}/end`, {
+			method: 'POST',
+			headers: { Authorization: 'Bearer test-admin-secret' },
+		});
+
+		const response = await request('/recordings', room.token);
+		expect(response.status).toBe(403);
+		expect(await response.json()).toMatchObject({ code: 'removed_from_room' });
+	});
+
+	it('requires a download token for the same recording', async () => {
+		const room = await createRoom();
+		const { id } = await startRecording(room.token);
+		await uploadPart(room.token, id, 1, new Uint8Array(16));
+		const { downloadUrl } = (await (await request(`/recordings/${id}/complete`, room.token, { method: 'POST' })).json()) as Recording;
+
+		expect((await request(`/recordings/${id}/download`, room.token)).status).toBe(401);
+
+		const other = await startRecording(room.token);
+		const token = new URL(downloadUrl!, 'http://example.com').searchParams.get('token');
+		expect((await SELF.fetch(`http://example.com/recordings/${other.id}/download?token=${token}`)).status).toBe(401);
+	});
+
+	it('deletes recordings from the bucket', async () => {
+		const room = await createRoom();
+		const { id } = await startRecording(room.token);
+		await uploadPart(room.token, id, 1, new Uint8Array(16));
+		await request(`/recordings/${id}/complete`, room.token, { method: 'POST' });
+
+		expect((await request(`/recordings/${id}`, room.token, { method: 'DELETE' })).status).toBe(200);
+		expect(await env.RECORDINGS.head(`rooms/${room.roomId}/session-1/${id}.webm`)).toBeNull();
+		expect((await request(`/recordings/${id}`, room.token)).status).toBe(404);
+	});
+});
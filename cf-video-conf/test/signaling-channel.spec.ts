@@ -0,0 +1,71 @@
+import { env, SELF } from 'cloudflare:test';
+import { afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+import { createRoom, joinGuest, poll, signal } from './helpers';
+
+type Message = { id: number };
+
+interface Channel {
+	cursor: number;
+	isRunning: boolean;
+	receivePush(message: Message): void;
+	sync(): Promise<void>;
+	sendAck(): Promise<void>;
+	deliveryQueue: Promise<void>;
+}
+
+let SignalingChannel: new (options: Record<string, unknown>) => Channel;
+
+beforeAll(async () => {
+	// The browser script registers itself on window
+	vi.stubGlobal('window', { location: { href: 'http://example.com/' } });
+	await import('../public/signaling-channel.js');
+	SignalingChannel = (globalThis as unknown as { window: { SignalingChannel: typeof SignalingChannel } }).window.SignalingChannel;
+});
+
+afterEach(() => {
+	vi.unstubAllGlobals();
+});
+
+describe('signaling channel', () => {
+	it('delivers a message whose push was overtaken before acknowledging past it', async () => {
+		const room = await createRoom();
+		const guestToken = await joinGuest(room, 'GUEST_1');
+		for (const sdpMid of ['0', '1']) {
+			const data = { candidate: 'candidate:1 1 udp 2122260223 192.0.2.1 50000 typ host', sdpMid, sdpMLineIndex: 0 };
+			await signal({ type: 'candidate', roomId: room.roomId, peerId: 'GUEST_1', targetPeer: room.peerId, data }, guestToken);
+		}
+		const [first, second] = (await poll(room.roomId, room.peerId, room.token)).m;
+
+		// Requests from the page go to the worker
+		vi.stubGlobal('fetch', (input: RequestInfo | URL, init?: RequestInit) => SELF.fetch(input, init));
+
+		const received: number[] = [];
+		const channel = new SignalingChannel({
+			baseAddress: 'http://example.com',
+			roomId: room.roomId,
+			peerId: room.peerId,
+			getToken: () => room.token,
+			onMessage: (message: Message) => received.push(message.id),
+		});
+		channel.isRunning = true;
+
+		// N+2 is pushed, N+1's push never arrives
+		channel.receivePush(second);
+		await channel.deliveryQueue;
+		expect(received).toEqual([second.id]);
+		expect(channel.cursor).toBe(0);
+
+		await channel.sync();
+		expect(received).toEqual([second.id, first.id]);
+		expect(channel.cursor).toBe(second.id);
+
+		const stored = await env.DB.prepare(`SELECT COUNT(*) AS count FROM messages WHERE room_id = ?`).bind(room.roomId).first<{ count: number }>();
+		expect(stored?.count).toBe(0);
+
+		// A late push of a message already read from D1 isn't handled twice
+		channel.receivePush(first);
+		await channel.deliveryQueue;
+		expect(received).toEqual([second.id, first.id]);
+		channel.isRunning = false;
+	});
+});
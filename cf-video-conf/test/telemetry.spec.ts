@@ -0,0 +1,115 @@
+import { SELF } from 'cloudflare:test';
+import { describe, expect, it } from 'vitest';
+import { createRoom, joinGuest } from './helpers';
+
+type Summary = {
+	roomId: string;
+	byDeviceType: { deviceType: string; peers: number; samples: number; avgSmoothness: number }[];
+	byPeer: { peerId: string; reportedBy: string; samples: number; avgLossPercent: number; codecs: string; poor: boolean }[];
+};
+
+function sendTelemetry(token: string, body: unknown) {
+	return SELF.fetch('http://example.com/telemetry', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+		body: JSON.stringify(body),
+	});
+}
+
+async function getSummary(token: string) {
+	const response = await SELF.fetch('http://example.com/telemetry/summary', { headers: { Authorization: `Bearer ${token}` } });
+	expect(response.status).toBe(200);
+	return (await response.json()) as Summary;
+}
+
+describe('telemetry', () => {
+	it('stores guest and host samples and summarizes them per device type and peer', async () => {
+		const room = await createRoom();
+		const goodGuest = await joinGuest(room, 'GUEST_1');
+		const badGuest = await joinGuest(room, 'GUEST_2');
+
+		const sent = await sendTelemetry(goodGuest, {
+			deviceType: 'desktop',
+			samples: [
+				{ timestamp: Date.now(), setupMs: 1200, smoothnessScore: 95, codec: 'VP9', bitrateKbps: 700, lossPercent: 0, rttMs: 40 },
+				{ timestamp: Date.now(), smoothnessScore: 91, codec: 'VP9', bitrateKbps: 650, lossPercent: 0.5, rttMs: 45 },
+			],
+		});
+		expect(sent.status).toBe(202);
+		expect(await sent.json()).toEqual({ accepted: 2, rejected: 0 });
+
+		await sendTelemetry(badGuest, {
+			deviceType: 'ios',
+			samples: [{ timestamp: Date.now(), smoothnessScore: 40, codec: 'H.264', lossPercent: 12, adjustments: 2 }],
+		});
+
+		// The host reports what it receives from a guest
+		await sendTelemetry(room.token, {
+			deviceType: 'desktop',
+			samples: [{ timestamp: Date.now(), remotePeerId: 'GUEST_2', codec: 'H.264', bitrateKbps: 150, lossPercent: 9 }],
+		});
+
+		const summary = await getSummary(room.token);
+		expect(summary.roomId).toBe(room.roomId);
+		expect(summary.byDeviceType.find((row) => row.deviceType === 'ios')).toMatchObject({ peers: 1, samples: 1, avgSmoothness: 40 });
+		expect(summary.byDeviceType.find((row) => row.deviceType === 'desktop')).toMatchObject({ peers: 2, samples: 3 });
+
+		expect(summary.byPeer[0]).toMatchObject({ peerId: 'GUEST_2', reportedBy: 'guest', poor: true });
+		expect(summary.byPeer.find((row) => row.peerId === 'GUEST_1')).toMatchObject({ samples: 2, codecs: 'VP9', poor: false });
+		expect(summary.byPeer.find((row) => row.reportedBy === 'host')).toMatchObject({ peerId: 'GUEST_2', avgLossPercent: 9, poor: true });
+	});
+
+	it('drops invalid samples and only lets the host report on other peers', async () => {
+		const room = await createRoom();
+		const guestToken = await joinGuest(room, 'GUEST_1');
+
+		const response = await sendTelemetry(guestToken, {
+			deviceType: 'toaster',
+			samples: [{ remotePeerId: 'GUEST_9', smoothnessScore: 250, lossPercent: -1 }, 'not a sample'],
+		});
+		expect(await response.json()).toEqual({ accepted: 1, rejected: 1 });
+
+		const summary = await getSummary(room.token);
+		expect(summary.byPeer).toHaveLength(1);
+		expect(summary.byPeer[0]).toMatchObject({ peerId: 'GUEST_1', avgLossPercent: null });
+		expect(summary.byDeviceType[0]).toMatchObject({ deviceType: 'other', avgSmoothness: null });
+	});
+
+	it('keeps rooms apart and the summary for the host', async () => {
+		const room = await createRoom();
+		const guestToken = await joinGuest(room, 'GUEST_1');
+		await sendTelemetry(guestToken, { deviceType: 'android', samples: [{ smoothnessScore: 80 }] });
+
+		const otherRoom = await createRoom();
+		expect((await getSummary(otherRoom.token)).byPeer).toEqual([]);
+
+		const guestSummary = await SELF.fetch('http://example.com/telemetry/summary', { headers: { Authorization: `Bearer ${guestToken}` } });
+		expect(guestSummary.status).toBe(401);
+	});
+
+	it('rejects invite tokens and oversized batches', async () => {
+		const room = await createRoom();
+
+		expect((await sendTelemetry(room.inviteToken, { samples: [] })).status).toBe(401);
+
+		const oversized = await sendTelemetry(room.token, { samples: Array.from({ length: 51 }, () => ({ fps: 30 })) });
+		expect(oversized.status).toBe(413);
+		expect(await oversized.json()).toMatchObject({ code: 'too_many_samples' });
+	});
+
+	it('only accepts samples from peers still in the room', async () => {
+		const room = await createRoom();
+		const guestToken = await joinGuest(room, 'GUEST_1');
+
+		await SELF.fetch('http://example.com/rooms/kick', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${room.token}` },
+			body: JSON.stringify({ peerId: 'GUEST_1' }),
+		});
+
+		const response = await sendTelemetry(guestToken, { samples: [{ fps: 30 }] });
+		expect(response.status).toBe(403);
+		expect(await response.json()).toMatchObject({ code: 'removed_from_room' });
+		expect((await getSummary(room.token)).byPeer).toEqual([]);
+	});
+});
@@ -0,0 +1,120 @@
+import { SELF, env, fetchMock } from 'cloudflare:test';
+import { afterEach, beforeAll, describe, expect, it } from 'vitest';
+import { createRoom, joinGuest } from './helpers';
+
+const TURN_API = 'https://rtc.live.cloudflare.com';
+
+// Stand-in for the Cloudflare TURN API that records the requested ttl
+function mockTurnApi(times = 1) {
+	const requestedTtls: number[] = [];
+	fetchMock
+		.get(TURN_API)
+		.intercept({ path: `/v1/turn/keys/${env.TURN_KEY_ID}/credentials/generate-ice-servers`, method: 'POST' })
+		.reply(200, ({ body }) => {
+			requestedTtls.push(JSON.parse(body as string).ttl);
+			return { iceServers: [{ urls: ['turn:turn.example.com:3478'], username: 'user', credential: 'secret' }] };
+		})
+		.times(times);
+	return requestedTtls;
+}
+
+function requestCredentials(token: string, body: Record<string, unknown> = {}, ip = '203.0.113.1') {
+	return SELF.fetch('http://example.com/turn-credentials', {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, 'CF-Connecting-IP': ip },
+		body: JSON.stringify(body),
+	});
+}
+
+describe('TURN credentials', () => {
+	beforeAll(() => {
+		fetchMock.activate();
+		fetchMock.disableNetConnect();
+	});
+
+	afterEach(() => fetchMock.assertNoPendingInterceptors());
+
+	it('issues credentials to peers in the room', async () => {
+		const room = await createRoom();
+		const ttls = mockTurnApi();
+
+		const response = await requestCredentials(room.token);
+		expect(response.status).toBe(200);
+		expect(await response.json()).toMatchObject({ iceServers: [{ username: 'user' }] });
+		expect(ttls).toEqual([4 * 60 * 60]);
+	});
+
+	it('caps the requested ttl', async () => {
+		const room = await createRoom();
+		const ttls = mockTurnApi();
+
+		await requestCredentials(room.token, { ttl: 7 * 24 * 60 * 60 });
+		expect(ttls).toEqual([4 * 60 * 60]);
+	});
+
+	it('rejects an invalid ttl', async () => {
+		const room = await createRoom();
+
+		for (const ttl of [0, 1.5, '3600']) {
+			const response = await requestCredentials(room.token, { ttl });
+			expect(response.status).toBe(400);
+			expect(await response.json()).toMatchObject({ code: 'invalid_ttl' });
+		}
+	});
+
+	it('requires the peer to still be in the room', async () => {
+		const room = await createRoom();
+		const guestToken = await joinGuest(room, 'GUEST_1');
+
+		// The host starting a new session clears the room
+		await SELF.fetch('http://example.com/signaling', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${room.token}` },
+			body: JSON.stringify({ type: 'join', roomId: room.roomId, peerId: room.peerId }),
+		});
+
+		const response = await requestCredentials(guestToken);
+		expect(response.status).toBe(403);
+		expect(await response.json()).toMatchObject({ code: 'not_in_room' });
+	});
+
+	it('rate limits each IP', async () => {
+		const room = await createRoom();
+		mockTurnApi(10);
+
+		for (let i = 0; i < 10; i++) {
+			expect((await requestCredentials(room.token)).status).toBe(200);
+		}
+
+		const limited = await requestCredentials(room.token);
+		expect(limited.status).toBe(429);
+		expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+		expect(await limited.json()).toMatchObject({ code: 'rate_limited' });
+
+		// Other callers are unaffected
+		const otherRoom = await createRoom();
+		mockTurnApi();
+		expect((await requestCredentials(otherRoom.token, {}, '203.0.113.2')).status).toBe(200);
+	});
+
+	it('rate limits each room across IPs', async () => {
+		const room = await createRoom();
+		mockTurnApi(30);
+
+		for (let i = 0; i < 30; i++) {
+			expect((await requestCredentials(room.token, {}, `198.51.100.${i}`)).status).toBe(200);
+		}
+
+		const limited = await requestCredentials(room.token, {}, '198.51.100.200');
+		expect(limited.status).toBe(429);
+	});
+
+	it('reports TURN API failures as a bad gateway', async () => {
+		const room = await createRoom();
+		fetchMock.get(TURN_API).intercept({ path: /generate-ice-servers/, method: 'POST' }).reply(503, 'unavailable');
+
+		const response = await requestCredentials(room.token);
+		expect(response.status).toBe(502);
+		expect(await response.json()).toMatchObject({ code: 'turn_upstream_error' });
+	});
+});
@@ -1,11 +1,21 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import path from 'node:path';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+export default defineWorkersConfig(async () => {
+	// The same migrations `wrangler d1 migrations apply` runs, applied by the setup file
+	const migrations = await readD1Migrations(path.join(__dirname, 'migrations'));
+
+	return {
+		test: {
+			setupFiles: ['./test/apply-migrations.ts'],
+			poolOptions: {
+				workers: {
+					wrangler: { configPath: './wrangler.jsonc' },
+					miniflare: {
+						bindings: { ROOM_TOKEN_SECRET: 'test-room-token-secret', ADMIN_SECRET: 'test-admin-secret', TEST_MIGRATIONS: migrations },
+					},
+				},
 			},
 		},
-	},
+	};
 });
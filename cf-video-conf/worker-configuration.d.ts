@@ -1,10 +1,15 @@
 /* eslint-disable */
-// Generated by Wrangler by running `wrangler types` (hash: 2b9f7e8940442ecdb1d6402c7f8ae203)
+// Generated by Wrangler by running `wrangler types` (hash: f5bd29ca36b556bd66254388eaa7921b)
 // Runtime types generated with workerd@1.20250803.0 2025-08-03 global_fetch_strictly_public
 declare namespace Cloudflare {
 	interface Env {
 		TURN_KEY_ID: "TURN_KEY_ID";
 		TURN_KEY_API_TOKEN: "TURN_KEY_API_TOKEN";
+		MESSAGE_RETENTION_MINUTES: "60";
+		PEER_RETENTION_MINUTES: "60";
+		TELEMETRY_RETENTION_DAYS: "30";
+		SIGNALING_ROOM: DurableObjectNamespace<import("./src/index").SignalingRoom>;
+		RECORDINGS: R2Bucket;
 		DB: D1Database;
 		SECRET_TURN_KEY_ID: SecretsStoreSecret;
 		SECRET_TURN_KEY_API_TOKEN: SecretsStoreSecret;